@@ -0,0 +1,52 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+
+// Directory of the cache, under the XDG cache directory
+const CACHE_NAME = 'create-app-release';
+
+/**
+ * Get the cache directory, following the XDG Base Directory specification
+ * @returns {string} Cache directory
+ */
+export function getCacheDir() {
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), CACHE_NAME);
+}
+
+/**
+ * Hash a cache key into a file name
+ * @param {string} key - Cache key
+ * @returns {string} File name
+ */
+function getCacheFile(key) {
+  return join(getCacheDir(), `${createHash('sha256').update(key).digest('hex')}.json`);
+}
+
+/**
+ * Read a cache entry. The cache is an optimization, so unreadable entries are treated as missing.
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} Cached value, or undefined if there is none
+ */
+export async function readCache(key) {
+  try {
+    return JSON.parse(await readFile(getCacheFile(key), 'utf8'));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Write a cache entry, ignoring write failures such as a read-only home directory
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function writeCache(key, value) {
+  try {
+    await mkdir(getCacheDir(), { recursive: true });
+    await writeFile(getCacheFile(key), JSON.stringify(value));
+  } catch {
+    // Ignored, the next run fetches the response again
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Default sections of rule-based summaries, in order. A pull request goes to the first section
+ * matching one of its labels, then its conventional commit type, then a keyword of its title.
+ * - title: Section heading
+ * - emoji: Optional heading prefix
+ * - labels: Pull request labels (case-insensitive)
+ * - types: Conventional commit types of the title, e.g. "feat" in "feat(api): ..."
+ * - keywords: Words of the title (case-insensitive)
+ * A section without rules collects the pull requests that match no other section.
+ */
+export const DEFAULT_CATEGORIES = [
+  {
+    title: 'Breaking Changes',
+    emoji: '💥',
+    labels: ['breaking', 'breaking change', 'breaking-change'],
+  },
+  {
+    title: 'Features',
+    emoji: '🚀',
+    labels: ['feature', 'enhancement'],
+    types: ['feat'],
+    keywords: ['add', 'new', 'support'],
+  },
+  {
+    title: 'Bug Fixes',
+    emoji: '🐛',
+    labels: ['bug', 'fix', 'bugfix'],
+    types: ['fix'],
+    keywords: ['fix', 'bug', 'crash'],
+  },
+  { title: 'Performance', emoji: '⚡', labels: ['performance'], types: ['perf'] },
+  { title: 'Documentation', emoji: '📝', labels: ['documentation', 'docs'], types: ['docs'] },
+  {
+    title: 'Maintenance',
+    emoji: '🔧',
+    labels: ['chore', 'dependencies', 'refactor'],
+    types: ['chore', 'build', 'ci', 'refactor', 'test', 'style'],
+  },
+  { title: 'Other Changes', emoji: '📦' },
+];
+
+/**
+ * Default rules for pull requests left out of rule-based summaries
+ * - labels: Pull request labels (case-insensitive)
+ * - authors: Pull request author logins, e.g. "dependabot[bot]"
+ */
+export const DEFAULT_EXCLUDE = { labels: ['skip-changelog'], authors: [] };
+
+// Conventional commit title, e.g. "feat(api)!: add login"
+const CONVENTIONAL_TITLE_PATTERN = /^(\w+)(?:\([^)]*\))?!?:\s*/;
+
+// Heading used when no section collects unmatched pull requests
+const FALLBACK_CATEGORY = { title: 'Other Changes' };
+
+/**
+ * Normalize a list of rule values for case-insensitive matching
+ * @param {Array<string>} [values] - Rule values
+ * @returns {Array<string>} Lowercase values
+ */
+function normalize(values) {
+  return (values || []).map((value) => String(value).toLowerCase());
+}
+
+/**
+ * Get the lowercase label names of a pull request
+ * @param {Object} pr - Pull request
+ * @returns {Array<string>} Label names
+ */
+function getLabelNames(pr) {
+  return normalize(
+    (pr.labels || []).map((label) => (typeof label === 'string' ? label : label.name || ''))
+  );
+}
+
+/**
+ * Validate categorization settings from the config file
+ * @param {Array} categories - Section definitions
+ * @param {Object} exclude - Exclude rules
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+export function validateCategories(categories, exclude) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return 'categories must be a non-empty array of sections';
+  }
+
+  for (const category of categories) {
+    if (!category || typeof category.title !== 'string' || !category.title) {
+      return `every category needs a title, got ${JSON.stringify(category)}`;
+    }
+    for (const key of ['labels', 'types', 'keywords']) {
+      if (category[key] !== undefined && !Array.isArray(category[key])) {
+        return `"${key}" of category "${category.title}" must be an array`;
+      }
+    }
+  }
+
+  if (!exclude || typeof exclude !== 'object' || Array.isArray(exclude)) {
+    return 'exclude must be an object with "labels" and/or "authors"';
+  }
+  for (const key of ['labels', 'authors']) {
+    if (exclude[key] !== undefined && !Array.isArray(exclude[key])) {
+      return `"${key}" of exclude must be an array`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Group pull requests into sections with deterministic rules, without an LLM
+ * @param {Array} pulls - Pull requests included in the release
+ * @param {Object} [rules] - Categorization rules
+ * @param {Array} [rules.categories] - Section definitions, see DEFAULT_CATEGORIES
+ * @param {Object} [rules.exclude] - Exclude rules, see DEFAULT_EXCLUDE
+ * @returns {{sections: Array<{title: string, emoji?: string, pulls: Array}>,
+ *   excluded: Array<{pr: Object, reason: string}>}} Non-empty sections in order, and the
+ *   pull requests left out with the reason
+ */
+export function categorizePullRequests(
+  pulls,
+  { categories = DEFAULT_CATEGORIES, exclude = DEFAULT_EXCLUDE } = {}
+) {
+  const excludedLabels = normalize(exclude.labels);
+  const excludedAuthors = normalize(exclude.authors);
+  const sections = categories.map((category) => ({ ...category, pulls: [] }));
+  const excluded = [];
+
+  let fallback = sections.find((section) => !section.labels && !section.types && !section.keywords);
+  if (!fallback) {
+    fallback = { ...FALLBACK_CATEGORY, pulls: [] };
+    sections.push(fallback);
+  }
+
+  for (const pr of pulls) {
+    const labels = getLabelNames(pr);
+    const author = (pr.user?.login || '').toLowerCase();
+
+    const excludedLabel = labels.find((label) => excludedLabels.includes(label));
+    if (excludedLabel) {
+      excluded.push({ pr, reason: `label "${excludedLabel}"` });
+      continue;
+    }
+    if (excludedAuthors.includes(author)) {
+      excluded.push({ pr, reason: `author @${pr.user.login}` });
+      continue;
+    }
+
+    const type = (CONVENTIONAL_TITLE_PATTERN.exec(pr.title) || [])[1]?.toLowerCase();
+    const words = pr.title.toLowerCase().match(/[\w-]+/g) || [];
+
+    // Labels are the most explicit signal, then the commit type, then title keywords
+    const section =
+      sections.find((item) => normalize(item.labels).some((label) => labels.includes(label))) ||
+      (type && sections.find((item) => normalize(item.types).includes(type))) ||
+      sections.find((item) =>
+        normalize(item.keywords).some((keyword) => words.includes(keyword))
+      ) ||
+      fallback;
+
+    section.pulls.push(pr);
+  }
+
+  return {
+    sections: sections.filter((section) => section.pulls.length > 0),
+    excluded,
+  };
+}
+
+/**
+ * Format a pull request title for a section bullet, without its conventional commit prefix
+ * @param {Object} pr - Pull request
+ * @returns {string} Bullet text, e.g. "Add login (#12)"
+ */
+export function formatCategorizedTitle(pr) {
+  const title = pr.title.replace(CONVENTIONAL_TITLE_PATTERN, '');
+  return `${title.charAt(0).toUpperCase()}${title.slice(1)} (#${pr.number})`;
+}
+
+/**
+ * Render categorized sections as markdown, with one h3 heading per section
+ * @param {Array<{title: string, emoji?: string, pulls: Array}>} sections - Non-empty sections
+ * @returns {string} Markdown sections
+ */
+export function formatSections(sections) {
+  return sections
+    .map(({ title, emoji, pulls }) => {
+      const heading = emoji ? `${emoji} ${title}` : title;
+      const bullets = pulls.map((pr) => `- ${formatCategorizedTitle(pr)}`).join('\n');
+      return `### ${heading}\n\n${bullets}`;
+    })
+    .join('\n\n');
+}
@@ -0,0 +1,184 @@
+import { formatCategorizedTitle } from './categories.js';
+
+// Changelog file used when --changelog is given without a path
+export const DEFAULT_CHANGELOG_PATH = 'CHANGELOG.md';
+
+// Keep a Changelog sections written by the tool, in order
+export const CHANGELOG_SECTIONS = ['Added', 'Changed', 'Fixed', 'Removed'];
+
+// Header of a new changelog file
+const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+`;
+
+// Summary headings mapped to changelog sections, e.g. "### 🚀 Features" -> Added
+const HEADING_SECTIONS = [
+  { pattern: /feature|\bnew\b|\badd/i, section: 'Added' },
+  { pattern: /fix|bug|security/i, section: 'Fixed' },
+  { pattern: /remov|deprecat/i, section: 'Removed' },
+];
+
+// Summary section listing the included pull requests, which is not copied to the changelog
+const PULL_REQUESTS_HEADING = /pull requests/i;
+
+// Headings and link references of a Keep a Changelog file
+const VERSION_HEADING_PATTERN = /^## \[?([^\]\s]+)\]?/;
+const LINK_REFERENCE_PATTERN = /^\[([^\]]+)\]:\s*(\S+)/;
+
+/**
+ * Create an empty set of changelog sections
+ * @returns {Object<string, Array<string>>} Sections with no entries
+ */
+function createSections() {
+  return Object.fromEntries(CHANGELOG_SECTIONS.map((section) => [section, []]));
+}
+
+/**
+ * Map a summary heading to a changelog section
+ * @param {string} heading - Summary heading text
+ * @returns {string} Changelog section
+ */
+function getHeadingSection(heading) {
+  const match = HEADING_SECTIONS.find(({ pattern }) => pattern.test(heading));
+  return match ? match.section : 'Changed';
+}
+
+/**
+ * Group the bullet points of a summary into changelog sections by their headings,
+ * e.g. the "Features", "Bug Fixes" and "Improvements" groups of an AI summary
+ * @param {string} summary - Release summary
+ * @returns {Object<string, Array<string>>|null} Changelog sections, or null if the summary
+ *   has no grouped bullet points
+ */
+export function categorizeSummary(summary) {
+  const sections = createSections();
+  let section = null;
+  let found = false;
+
+  for (const line of (summary || '').split('\n')) {
+    const heading = /^#{1,6}\s+(.+)$/.exec(line.trim());
+    if (heading) {
+      section = PULL_REQUESTS_HEADING.test(heading[1]) ? null : getHeadingSection(heading[1]);
+      continue;
+    }
+
+    const bullet = /^[-*]\s+(.+)$/.exec(line.trim());
+    if (section && bullet) {
+      sections[section].push(bullet[1]);
+      found = true;
+    }
+  }
+
+  return found ? sections : null;
+}
+
+/**
+ * Group the sections of a rule-based categorization into changelog sections
+ * @param {Array<{title: string, pulls: Array}>} sections - Categorized sections
+ * @returns {Object<string, Array<string>>} Changelog sections
+ */
+export function groupCategorizedSections(sections) {
+  const grouped = createSections();
+  for (const { title, pulls } of sections) {
+    grouped[getHeadingSection(title)].push(...pulls.map(formatCategorizedTitle));
+  }
+  return grouped;
+}
+
+/**
+ * Render a changelog entry for a release
+ * @param {Object} entry - Changelog entry
+ * @param {string} entry.version - Release version
+ * @param {string} entry.date - Release date (YYYY-MM-DD)
+ * @param {Object<string, Array<string>>} entry.sections - Changelog sections
+ * @returns {string} Markdown for the release, without a trailing newline
+ */
+export function renderChangelogEntry({ version, date, sections }) {
+  const blocks = CHANGELOG_SECTIONS.filter((section) => sections[section]?.length > 0).map(
+    (section) => `### ${section}\n\n${sections[section].map((item) => `- ${item}`).join('\n')}`
+  );
+
+  return [`## [${version}] - ${date}`, ...blocks].join('\n\n');
+}
+
+/**
+ * Check whether a line is the heading of the Unreleased section
+ * @param {string} line - Changelog line
+ * @returns {boolean} True for "## [Unreleased]"
+ */
+function isUnreleasedHeading(line) {
+  return /^## \[?unreleased\]?/i.test(line);
+}
+
+/**
+ * Insert a release entry into a Keep a Changelog file, above the previous release.
+ * An existing entry for the same version is replaced, so an updated release PR doesn't
+ * duplicate it. The link reference of the version is added to the footer and the
+ * Unreleased comparison link is moved to the new tag.
+ * @param {string} content - Current changelog, or an empty string for a new file
+ * @param {string} entry - Rendered release entry
+ * @param {Object} release - Release information
+ * @param {string} release.version - Release version
+ * @param {string} release.tag - Release tag
+ * @param {string} release.url - Link of the release (comparison with the previous tag)
+ * @returns {string} Updated changelog
+ */
+export function insertChangelogEntry(content, entry, { version, tag, url }) {
+  const lines = (content.trim() ? content : CHANGELOG_HEADER).replace(/\s+$/, '').split('\n');
+  const entryLines = [...entry.split('\n'), ''];
+
+  const isLinkReference = (line) => LINK_REFERENCE_PATTERN.test(line);
+  const existingIndex = lines.findIndex(
+    (line) => VERSION_HEADING_PATTERN.exec(line)?.[1] === version
+  );
+
+  if (existingIndex !== -1) {
+    let end = existingIndex + 1;
+    while (end < lines.length && !/^## /.test(lines[end]) && !isLinkReference(lines[end])) end++;
+    lines.splice(existingIndex, end - existingIndex, ...entryLines);
+  } else {
+    let index = lines.findIndex((line) => /^## /.test(line) && !isUnreleasedHeading(line));
+    if (index === -1) {
+      index = lines.findIndex(isLinkReference);
+    }
+    if (index === -1) {
+      lines.push('');
+      index = lines.length;
+    }
+    lines.splice(index, 0, ...entryLines);
+  }
+
+  // Link references: [unreleased] compares the new tag with HEAD, [x.y.z] links the release
+  const link = `[${version}]: ${url}`;
+  let linkIndex = -1;
+  let firstVersionLinkIndex = -1;
+
+  lines.forEach((line, index) => {
+    const match = LINK_REFERENCE_PATTERN.exec(line);
+    if (!match) return;
+
+    const [, label, target] = match;
+    if (label.toLowerCase() === 'unreleased') {
+      lines[index] = line.replace(target, target.replace(/compare\/.+\.\.\./, `compare/${tag}...`));
+    } else if (label === version) {
+      linkIndex = index;
+    } else if (firstVersionLinkIndex === -1) {
+      firstVersionLinkIndex = index;
+    }
+  });
+
+  if (linkIndex !== -1) {
+    lines[linkIndex] = link;
+  } else if (firstVersionLinkIndex !== -1) {
+    lines.splice(firstVersionLinkIndex, 0, link);
+  } else {
+    if (lines[lines.length - 1] !== '') lines.push('');
+    lines.push(link);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,269 @@
+import { readFile, writeFile, access } from 'fs/promises';
+import { join } from 'path';
+import { promisify } from 'util';
+import { exec as execCallback } from 'child_process';
+import { DEFAULT_CATEGORIES, DEFAULT_EXCLUDE } from './categories.js';
+
+const exec = promisify(execCallback);
+
+// Config files searched in the repository root, in order of preference
+export const CONFIG_FILES = ['.create-app-release.json', '.create-app-releaserc'];
+
+// Key holding the configuration when it lives in package.json
+export const PACKAGE_JSON_KEY = 'createAppRelease';
+
+/**
+ * Settings resolved with precedence:
+ * CLI flag > environment variable > config file > detected from the git checkout > default
+ * - option: Commander option name
+ * - env: Environment variable name, or a list of names in order of precedence
+ * - default: Built-in default value
+ * - type: "list" for comma-separated values (arrays in the config file), "boolean" for
+ *   true/false values, "flag" for values that are either true/false or a string
+ */
+export const SETTINGS = {
+  sourceBranch: { option: 'source', env: 'CREATE_APP_RELEASE_SOURCE', default: 'staging' },
+  targetBranch: { option: 'target', env: 'CREATE_APP_RELEASE_TARGET', default: 'main' },
+  openaiModel: { option: 'openaiModel', env: 'OPENAI_MODEL', default: 'gpt-4o' },
+  openaiBaseUrl: { option: 'openaiBaseUrl', env: 'OPENAI_BASE_URL' },
+  titleFormat: {
+    option: 'titleFormat',
+    env: 'CREATE_APP_RELEASE_TITLE_FORMAT',
+    default: 'Release: Version {{version}}',
+  },
+  tagPrefix: { env: 'CREATE_APP_RELEASE_TAG_PREFIX', default: 'v' },
+  strategy: { option: 'strategy', env: 'CREATE_APP_RELEASE_STRATEGY', default: 'date' },
+  githubUrl: { option: 'githubUrl', env: ['GITHUB_API_URL', 'GITHUB_SERVER_URL', 'GH_HOST'] },
+  provider: { option: 'provider', env: 'LLM_PROVIDER', default: 'openai' },
+  model: { option: 'model', env: 'LLM_MODEL' },
+  anthropicBaseUrl: { env: 'ANTHROPIC_BASE_URL' },
+  azureEndpoint: { option: 'azureEndpoint', env: 'AZURE_OPENAI_ENDPOINT' },
+  azureDeployment: { option: 'azureDeployment', env: 'AZURE_OPENAI_DEPLOYMENT' },
+  azureApiVersion: {
+    option: 'azureApiVersion',
+    env: 'OPENAI_API_VERSION',
+    default: '2024-10-21',
+  },
+  ollamaHost: { env: 'OLLAMA_HOST' },
+  context: { option: 'context', env: 'CREATE_APP_RELEASE_CONTEXT', default: 'minimal' },
+  tokenBudget: { option: 'tokenBudget', default: 12000 },
+  promptTemplate: { option: 'template' },
+  bodyTemplate: { option: 'bodyTemplate' },
+  changelog: { option: 'changelog', env: 'CREATE_APP_RELEASE_CHANGELOG', type: 'flag' },
+  draft: { option: 'draft', env: 'CREATE_APP_RELEASE_DRAFT', type: 'boolean', default: true },
+  reviewers: {
+    option: 'reviewers',
+    env: 'CREATE_APP_RELEASE_REVIEWERS',
+    type: 'list',
+    default: [],
+  },
+  labels: { option: 'labels', env: 'CREATE_APP_RELEASE_LABELS', type: 'list', default: [] },
+  assignees: {
+    option: 'assignees',
+    env: 'CREATE_APP_RELEASE_ASSIGNEES',
+    type: 'list',
+    default: [],
+  },
+  milestone: { option: 'milestone', env: 'CREATE_APP_RELEASE_MILESTONE', type: 'flag' },
+  authorReviewers: { option: 'authorReviewers', type: 'boolean', default: false },
+  authorChecklist: { option: 'authorChecklist', type: 'boolean', default: false },
+  versionFiles: {
+    option: 'versionFiles',
+    env: 'CREATE_APP_RELEASE_VERSION_FILES',
+    type: 'list',
+    default: [],
+  },
+  // Target names, or false with --no-notify; parsed by resolveNotifiers()
+  notify: { option: 'notify', env: 'CREATE_APP_RELEASE_NOTIFY' },
+  notifications: { default: {} },
+  // Packages of a monorepo, or "workspaces" to discover them
+  packages: { default: [] },
+  package: { option: 'package', env: 'CREATE_APP_RELEASE_PACKAGE' },
+  categories: { default: DEFAULT_CATEGORIES },
+  exclude: { default: DEFAULT_EXCLUDE },
+};
+
+/**
+ * Get the root directory of the current git repository
+ * @returns {Promise<string>} Repository root, or the working directory outside a git repository
+ */
+export async function getRepositoryRoot() {
+  try {
+    const { stdout } = await exec('git rev-parse --show-toplevel');
+    return stdout.trim() || process.cwd();
+  } catch {
+    return process.cwd();
+  }
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} path - File path
+ * @returns {Promise<boolean>} True if the file exists
+ */
+async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} path - File path
+ * @returns {Promise<*>} Parsed JSON value
+ */
+async function readJSON(path) {
+  const content = await readFile(path, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the project configuration from an explicit path, a config file in the repository root,
+ * or the "createAppRelease" key in package.json
+ * @param {string} [configPath] - Explicit config file path
+ * @returns {Promise<{config: Object, path: string|null}>} Loaded configuration and its source
+ */
+export async function loadConfig(configPath) {
+  let config = null;
+  let path = null;
+
+  if (configPath) {
+    if (!(await fileExists(configPath))) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    config = await readJSON(configPath);
+    path = configPath;
+  } else {
+    const root = await getRepositoryRoot();
+
+    for (const file of CONFIG_FILES) {
+      const candidate = join(root, file);
+      if (await fileExists(candidate)) {
+        config = await readJSON(candidate);
+        path = candidate;
+        break;
+      }
+    }
+
+    const packagePath = join(root, 'package.json');
+    if (!path && (await fileExists(packagePath))) {
+      const packageJSON = await readJSON(packagePath);
+      if (packageJSON[PACKAGE_JSON_KEY] !== undefined) {
+        config = packageJSON[PACKAGE_JSON_KEY];
+        path = `${packagePath} (${PACKAGE_JSON_KEY})`;
+      }
+    }
+  }
+
+  if (config === null) {
+    return { config: {}, path: null };
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid configuration in ${path}: expected a JSON object`);
+  }
+
+  return { config, path };
+}
+
+// Accepted spellings of boolean settings in environment variables
+const BOOLEAN_VALUES = { true: true, 1: true, yes: true, false: false, 0: false, no: false };
+
+/**
+ * Convert a setting value to its type. Values that can't be converted are returned as they
+ * are, so they can be reported as invalid.
+ * @param {*} value - Setting value
+ * @param {string} [type] - Setting type, see SETTINGS
+ * @returns {*} Converted value
+ */
+function convertSetting(value, type) {
+  if (type === 'list') {
+    if (typeof value === 'string') {
+      return value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+    }
+    // Config file lists may hold objects, e.g. version files with a JSON path
+    return Array.isArray(value)
+      ? value.map((item) =>
+          typeof item === 'object' && item !== null ? item : String(item).trim()
+        )
+      : value;
+  }
+  if (type === 'boolean' && typeof value === 'string') {
+    const converted = BOOLEAN_VALUES[value.trim().toLowerCase()];
+    return converted === undefined ? value : converted;
+  }
+  // Only the exact words, other strings are paths or titles
+  if (type === 'flag' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Resolve settings from CLI options, environment variables, config file, the git checkout
+ * and defaults
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} config - Loaded project configuration
+ * @param {Object} [detected] - Settings detected from the git checkout, e.g. the branches
+ * @returns {Object} Resolved settings keyed by setting name
+ */
+export function resolveSettings(options, config, detected = {}) {
+  return Object.fromEntries(
+    Object.entries(SETTINGS).map(([key, setting]) => {
+      const envKeys = [].concat(setting.env || []);
+      const value = [
+        setting.option && options[setting.option],
+        ...envKeys.map((envKey) => process.env[envKey]),
+        config[key],
+        detected[key],
+        setting.default,
+      ].find((candidate) => candidate !== undefined && candidate !== '');
+
+      return [key, convertSetting(value, setting.type)];
+    })
+  );
+}
+
+/**
+ * Build the starter configuration written by the init command
+ * @returns {Object} Starter configuration
+ */
+export function getStarterConfig() {
+  return {
+    sourceBranch: SETTINGS.sourceBranch.default,
+    targetBranch: SETTINGS.targetBranch.default,
+    openaiModel: SETTINGS.openaiModel.default,
+    openaiBaseUrl: 'https://api.openai.com/v1',
+    titleFormat: SETTINGS.titleFormat.default,
+    tagPrefix: SETTINGS.tagPrefix.default,
+    strategy: SETTINGS.strategy.default,
+    provider: SETTINGS.provider.default,
+  };
+}
+
+/**
+ * Write a starter config file to the repository root
+ * @param {Object} [options] - Init options
+ * @param {boolean} [options.force] - Overwrite an existing config file
+ * @returns {Promise<string>} Path of the written config file
+ */
+export async function writeStarterConfig({ force = false } = {}) {
+  const path = join(await getRepositoryRoot(), CONFIG_FILES[0]);
+
+  if (!force && (await fileExists(path))) {
+    throw new Error(`${path} already exists. Use --force to overwrite it.`);
+  }
+
+  await writeFile(path, `${JSON.stringify(getStarterConfig(), null, 2)}\n`);
+  return path;
+}
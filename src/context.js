@@ -0,0 +1,115 @@
+// Levels of pull request context sent to the AI
+export const CONTEXT_LEVELS = ['minimal', 'standard', 'full'];
+
+// Description lengths tried, in order, when trimming pull request details to the token budget
+const DESCRIPTION_LIMITS = [1000, 500, 200, 0];
+
+// Maximum number of changed file paths kept per pull request
+const MAX_FILES = 50;
+
+// Issue references that GitHub uses to link issues, e.g. "Fixes #123"
+const LINKED_ISSUE_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+#(\d+)\b/gi;
+
+/**
+ * Estimate the number of tokens of a value sent to the AI (roughly 4 characters per token)
+ * @param {*} value - Value serialized as JSON
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+/**
+ * Truncate text to a maximum length, marking truncated text with an ellipsis
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Truncated text
+ */
+export function truncate(text, maxLength) {
+  const normalized = (text || '').replace(/<!--[\s\S]*?-->/g, '').trim();
+  if (normalized.length <= maxLength) return normalized;
+  return maxLength > 0 ? `${normalized.slice(0, maxLength).trimEnd()}…` : '';
+}
+
+/**
+ * Extract the numbers of issues linked from a pull request description
+ * @param {string} description - Pull request description
+ * @returns {Array<number>} Linked issue numbers
+ */
+export function extractLinkedIssueNumbers(description) {
+  const numbers = [...(description || '').matchAll(LINKED_ISSUE_PATTERN)].map((match) =>
+    parseInt(match[1], 10)
+  );
+  return [...new Set(numbers)];
+}
+
+/**
+ * Apply a description limit to pull request details, dropping empty fields
+ * @param {Object} details - Pull request details
+ * @param {number} descriptionLimit - Maximum description length
+ * @param {boolean} includeFiles - Whether to keep the changed file paths
+ * @returns {Object} Trimmed pull request details
+ */
+function trimDetails(details, descriptionLimit, includeFiles) {
+  const trimmed = { ...details };
+
+  if (trimmed.description !== undefined) {
+    trimmed.description = truncate(trimmed.description, descriptionLimit);
+    if (!trimmed.description) delete trimmed.description;
+  }
+  if (trimmed.files && (!includeFiles || trimmed.files.length === 0)) {
+    delete trimmed.files;
+  } else if (trimmed.files) {
+    trimmed.files = trimmed.files.slice(0, MAX_FILES);
+  }
+  return trimmed;
+}
+
+/**
+ * Trim pull request details until they fit the token budget, first shortening descriptions
+ * and then dropping changed file paths
+ * @param {Array<Object>} details - Pull request details
+ * @param {number} budget - Token budget
+ * @returns {{details: Array<Object>, fits: boolean}} Trimmed details and whether they fit
+ */
+export function fitToBudget(details, budget) {
+  let trimmed = details;
+
+  for (const includeFiles of [true, false]) {
+    for (const limit of DESCRIPTION_LIMITS) {
+      trimmed = details.map((item) => trimDetails(item, limit, includeFiles));
+      if (estimateTokens(trimmed) <= budget) {
+        return { details: trimmed, fits: true };
+      }
+    }
+  }
+
+  return { details: trimmed, fits: false };
+}
+
+/**
+ * Split pull request details into chunks that each fit the token budget. Each chunk is trimmed
+ * on its own, so descriptions and changed files are kept when the whole list is too large.
+ * @param {Array<Object>} details - Untrimmed pull request details
+ * @param {number} budget - Token budget per chunk
+ * @returns {Array<Array<Object>>} Chunks of pull request details
+ */
+export function chunkToBudget(details, budget) {
+  const chunks = [];
+  let chunk = [];
+  let chunkTokens = 0;
+
+  for (const item of details) {
+    const tokens = estimateTokens(trimDetails(item, DESCRIPTION_LIMITS[0], true));
+    if (chunk.length > 0 && chunkTokens + tokens > budget) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkTokens = 0;
+    }
+    chunk.push(item);
+    chunkTokens += tokens;
+  }
+
+  if (chunk.length > 0) chunks.push(chunk);
+  return chunks.map((items) => fitToBudget(items, budget).details);
+}
@@ -0,0 +1,179 @@
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { execFile as execFileCallback, spawn } from 'child_process';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { promisify } from 'util';
+
+const execFile = promisify(execFileCallback);
+
+// Encrypted credential store, under the XDG config directory
+const STORE_NAME = join('create-app-release', 'credentials.json');
+
+// Cipher of the credential store; the key is derived from the passphrase with scrypt
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// Time allowed for the gh CLI and git credential helpers to answer
+const HELPER_TIMEOUT = 5000;
+
+/**
+ * Get the path of the encrypted credential store
+ * @returns {string} Credential store path
+ */
+export function getCredentialStorePath() {
+  return join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), STORE_NAME);
+}
+
+/**
+ * Read the raw encrypted credential store
+ * @returns {Promise<Object|null>} Encrypted store, or null if there is none
+ */
+async function readEncryptedStore() {
+  try {
+    return JSON.parse(await readFile(getCredentialStorePath(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read credential store: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether the encrypted credential store exists
+ * @returns {Promise<boolean>} True if tokens have been stored
+ */
+export async function hasCredentialStore() {
+  return (await readEncryptedStore()) !== null;
+}
+
+/**
+ * Decrypt the credential store
+ * @param {string} passphrase - Store passphrase
+ * @returns {Promise<Object<string, string>>} Tokens by service, empty if there is no store
+ */
+export async function readCredentialStore(passphrase) {
+  const store = await readEncryptedStore();
+  if (!store) return {};
+
+  try {
+    const key = scryptSync(passphrase, Buffer.from(store.salt, 'base64'), KEY_LENGTH);
+    const decipher = createDecipheriv(CIPHER, key, Buffer.from(store.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(store.tag, 'base64'));
+    const data = Buffer.concat([
+      decipher.update(Buffer.from(store.data, 'base64')),
+      decipher.final(),
+    ]);
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    throw new Error(`Wrong passphrase for the credential store ${getCredentialStorePath()}`);
+  }
+}
+
+/**
+ * Encrypt and write the credential store, readable by the current user only.
+ * The store is removed when no tokens are left.
+ * @param {Object<string, string>} tokens - Tokens by service
+ * @param {string} passphrase - Store passphrase
+ * @returns {Promise<void>}
+ */
+export async function writeCredentialStore(tokens, passphrase) {
+  const path = getCredentialStorePath();
+  if (Object.keys(tokens).length === 0) {
+    await rm(path, { force: true });
+    return;
+  }
+
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, scryptSync(passphrase, salt, KEY_LENGTH), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+
+  const store = {
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+
+  await mkdir(dirname(path), { recursive: true, mode: 0o700 });
+  await writeFile(path, `${JSON.stringify(store, null, 2)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Get the GitHub token of the gh CLI
+ * @param {string} host - GitHub host, e.g. github.com
+ * @returns {Promise<string|null>} Token, or null if gh is not installed or not logged in
+ */
+export async function getGhCliToken(host) {
+  try {
+    const { stdout } = await execFile('gh', ['auth', 'token', '--hostname', host], {
+      timeout: HELPER_TIMEOUT,
+    });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a token from the configured git credential helper, without prompting
+ * @param {string} host - GitHub host, e.g. github.com
+ * @returns {Promise<string|null>} Token, or null if no helper has one for the host
+ */
+export function getGitCredentialToken(host) {
+  return new Promise((resolve) => {
+    const child = spawn('git', ['credential', 'fill'], {
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_ASKPASS: '', SSH_ASKPASS: '' },
+      stdio: ['pipe', 'pipe', 'ignore'],
+      timeout: HELPER_TIMEOUT,
+    });
+
+    let output = '';
+    child.stdout.on('data', (chunk) => (output += chunk));
+    child.on('error', () => resolve(null));
+    child.on('close', (code) => {
+      const password = /^password=(.*)$/m.exec(output);
+      resolve(code === 0 && password ? password[1] : null);
+    });
+
+    child.stdin.end(`protocol=https\nhost=${host}\n\n`);
+  });
+}
+
+/**
+ * Read a value from the global git config
+ * @param {string} key - Git config key
+ * @returns {Promise<string|null>} Value, or null if it isn't set
+ */
+export async function getGitConfigValue(key) {
+  try {
+    const { stdout } = await execFile('git', ['config', '--global', '--get', key]);
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove a value from the global git config
+ * @param {string} key - Git config key
+ * @returns {Promise<boolean>} True if the value was removed
+ */
+export async function unsetGitConfigValue(key) {
+  try {
+    await execFile('git', ['config', '--global', '--unset', key]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Mask a token for display, keeping a few characters to recognize it
+ * @param {string} token - Token
+ * @returns {string} Masked token, e.g. "ghp_…3f9a"
+ */
+export function maskToken(token) {
+  return token.length > 12 ? `${token.slice(0, 4)}…${token.slice(-4)}` : '****';
+}
@@ -0,0 +1,109 @@
+import { execFile as execFileCallback } from 'child_process';
+import { promisify } from 'util';
+
+const execFile = promisify(execFileCallback);
+
+// Time allowed for a local git command
+const GIT_TIMEOUT = 5000;
+
+// URL schemes of remote URLs, e.g. https://github.com/acme/web.git
+const URL_SCHEME_PATTERN = /^[a-z][a-z\d+.-]*:\/\//i;
+
+// scp-like SSH remotes, e.g. git@github.com:acme/web.git
+const SCP_REMOTE_PATTERN = /^(?:[^@/]+@)?([^:/]+):(.+)$/;
+
+/**
+ * Parse the repository of a GitHub remote URL. Supports HTTPS, SSH (ssh://git@host/owner/repo
+ * and git@host:owner/repo) and git:// URLs, on github.com and GitHub Enterprise Server hosts.
+ * @param {string} url - Remote URL
+ * @returns {{host: string, owner: string, repo: string}|null} Host name, repository owner and
+ *   name, or null if the URL isn't a repository URL
+ */
+export function parseRemoteUrl(url) {
+  const value = (url || '').trim();
+  let host;
+  let path;
+
+  if (URL_SCHEME_PATTERN.test(value)) {
+    try {
+      ({ hostname: host, pathname: path } = new URL(value));
+    } catch {
+      return null;
+    }
+  } else {
+    const match = SCP_REMOTE_PATTERN.exec(value);
+    if (!match) return null;
+    [, host, path] = match;
+  }
+
+  // The repository is the last two path segments; Enterprise Server may serve it under a prefix
+  const segments = decodeURIComponent(path)
+    .replace(/\/+$/, '')
+    .replace(/\.git$/, '')
+    .split('/')
+    .filter(Boolean);
+  if (!host || segments.length < 2) return null;
+
+  const [owner, repo] = segments.slice(-2);
+  return { host: host.toLowerCase(), owner, repo };
+}
+
+/**
+ * Run a git command in the working directory
+ * @param {Array<string>} args - Git arguments
+ * @returns {Promise<string|null>} Trimmed output, or null if git failed or isn't installed
+ */
+async function git(args) {
+  try {
+    const { stdout } = await execFile('git', args, { timeout: GIT_TIMEOUT });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the URL of a remote of the git checkout in the working directory
+ * @param {string} remote - Remote name
+ * @returns {Promise<string|null>} Remote URL, or null outside a git checkout or without the remote
+ */
+export function getRemoteUrl(remote) {
+  return git(['remote', 'get-url', remote]);
+}
+
+/**
+ * Get the branch checked out in the working directory
+ * @returns {Promise<string|null>} Branch name, or null with a detached HEAD
+ */
+export function getCurrentBranch() {
+  return git(['symbolic-ref', '--quiet', '--short', 'HEAD']);
+}
+
+/**
+ * Get the default branch of a remote, as recorded by clone or `git remote set-head`
+ * @param {string} remote - Remote name
+ * @returns {Promise<string|null>} Branch name, or null if the remote HEAD isn't known locally
+ */
+export async function getRemoteDefaultBranch(remote) {
+  const ref = await git(['symbolic-ref', '--quiet', '--short', `refs/remotes/${remote}/HEAD`]);
+  return ref?.startsWith(`${remote}/`) ? ref.slice(remote.length + 1) : null;
+}
+
+/**
+ * Detect the GitHub repository of the git checkout in the working directory
+ * @param {string} [remote] - Remote name
+ * @returns {Promise<Object|null>} Repository host, owner and name, remote name, checked out
+ *   branch and default branch of the remote (null when unknown), or null outside a git
+ *   checkout or when the remote isn't a repository URL
+ */
+export async function detectLocalRepository(remote = 'origin') {
+  const repository = parseRemoteUrl(await getRemoteUrl(remote));
+  if (!repository) return null;
+
+  return {
+    ...repository,
+    remote,
+    branch: await getCurrentBranch(),
+    defaultBranch: await getRemoteDefaultBranch(remote),
+  };
+}
@@ -0,0 +1,169 @@
+import { Octokit } from '@octokit/rest';
+import { throttling } from '@octokit/plugin-throttling';
+import { retry } from '@octokit/plugin-retry';
+import { createHash } from 'crypto';
+import { readCache, writeCache } from './cache.js';
+
+// Public GitHub hosts
+const GITHUB_API_URL = 'https://api.github.com';
+const GITHUB_WEB_URL = 'https://github.com';
+
+// REST API path of GitHub Enterprise Server
+const ENTERPRISE_API_PATH = '/api/v3';
+
+/**
+ * Derive the REST API and web URLs of a GitHub instance.
+ * Accepts an API URL (https://ghe.example.com/api/v3), a web URL (https://ghe.example.com)
+ * or a bare host name (ghe.example.com, as used by GH_HOST).
+ * @param {string} [url] - GitHub API URL, web URL or host name
+ * @returns {{apiUrl: string, webUrl: string}} REST API and web URLs
+ */
+export function getGitHubUrls(url) {
+  if (!url) {
+    return { apiUrl: GITHUB_API_URL, webUrl: GITHUB_WEB_URL };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`);
+  } catch {
+    throw new Error(`Invalid GitHub URL: ${url}`);
+  }
+
+  const { protocol, host } = parsed;
+  const path = parsed.pathname.replace(/\/+$/, '');
+
+  if (host === 'github.com' || host === 'api.github.com') {
+    return { apiUrl: GITHUB_API_URL, webUrl: GITHUB_WEB_URL };
+  }
+
+  // GitHub Enterprise Cloud with data residency serves the API from an "api." subdomain
+  if (host.startsWith('api.')) {
+    return {
+      apiUrl: `${protocol}//${host}${path}`,
+      webUrl: `${protocol}//${host.slice('api.'.length)}`,
+    };
+  }
+
+  // GitHub Enterprise Server serves the API under /api/v3
+  const webPath = path.endsWith(ENTERPRISE_API_PATH)
+    ? path.slice(0, -ENTERPRISE_API_PATH.length)
+    : path;
+
+  return {
+    apiUrl: `${protocol}//${host}${webPath}${ENTERPRISE_API_PATH}`,
+    webUrl: `${protocol}//${host}${webPath}`,
+  };
+}
+
+// Times a request is retried after waiting for a rate limit
+const MAX_RATE_LIMIT_RETRIES = 2;
+
+// Share of the rate limit under which the remaining requests are reported
+const LOW_RATE_LIMIT_RATIO = 0.1;
+
+// GET requests cached on disk: repository lists and closed pull request pages
+const CACHEABLE_REQUESTS = [
+  /\/user\/repos(?:\?|$)/,
+  /\/repos\/[^/]+\/[^/]+\/pulls\?(?:.*&)?state=closed(?:&|$)/,
+];
+
+const ThrottledOctokit = Octokit.plugin(throttling, retry);
+
+/**
+ * Create a GitHub REST client that waits for rate limits (including secondary rate limits),
+ * retries server errors, and caches repository lists and closed pull request pages on disk.
+ * Cached responses are revalidated with ETags; unchanged responses don't count against the
+ * rate limit.
+ * @param {Object} options - Client options
+ * @param {string} options.auth - GitHub token
+ * @param {string} options.baseUrl - REST API URL
+ * @param {boolean} [options.cache] - Whether to use the on-disk cache
+ * @param {Function} [options.onRateLimit] - Called with {remaining, limit, reset} after each
+ *   request when few requests are left, and with null otherwise
+ * @param {Function} [options.onWait] - Called with a message when a request waits for a rate limit
+ * @returns {Octokit} GitHub client
+ */
+export function createGitHubClient({
+  auth,
+  baseUrl,
+  cache = true,
+  onRateLimit = () => {},
+  onWait = () => {},
+}) {
+  const octokit = new ThrottledOctokit({
+    auth,
+    baseUrl,
+    throttle: {
+      onRateLimit: (retryAfter, options, client, retryCount) => {
+        onWait(`Rate limit reached, retrying ${options.method} ${options.url} in ${retryAfter}s`);
+        return retryCount < MAX_RATE_LIMIT_RETRIES;
+      },
+      onSecondaryRateLimit: (retryAfter, options, client, retryCount) => {
+        onWait(
+          `Secondary rate limit reached, retrying ${options.method} ${options.url} in ${retryAfter}s`
+        );
+        return retryCount < MAX_RATE_LIMIT_RETRIES;
+      },
+    },
+  });
+
+  const reportRateLimit = (headers = {}) => {
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    const limit = Number(headers['x-ratelimit-limit']);
+    if (!Number.isFinite(remaining) || !limit) return;
+
+    onRateLimit(
+      remaining <= limit * LOW_RATE_LIMIT_RATIO
+        ? { remaining, limit, reset: new Date(Number(headers['x-ratelimit-reset']) * 1000) }
+        : null
+    );
+  };
+
+  // Cache keys are scoped to the API and token, so accounts never share responses
+  const scope = createHash('sha256')
+    .update(`${baseUrl}\n${auth || ''}`)
+    .digest('hex');
+
+  octokit.hook.wrap('request', async (request, options) => {
+    const { method, url } = octokit.request.endpoint(options);
+    const key =
+      cache && method === 'GET' && CACHEABLE_REQUESTS.some((pattern) => pattern.test(url))
+        ? `${scope}\n${url}`
+        : null;
+
+    const cached = key ? await readCache(key) : undefined;
+    if (cached) {
+      options.headers = { ...options.headers, 'if-none-match': cached.etag };
+    }
+
+    try {
+      const response = await request(options);
+      reportRateLimit(response.headers);
+
+      if (key && response.headers.etag) {
+        await writeCache(key, {
+          etag: response.headers.etag,
+          headers: response.headers.link ? { link: response.headers.link } : {},
+          data: response.data,
+        });
+      }
+      return response;
+    } catch (error) {
+      reportRateLimit(error.response?.headers);
+
+      // Not modified since the cached response
+      if (cached && error.status === 304) {
+        return {
+          status: 200,
+          url,
+          headers: { ...error.response.headers, ...cached.headers },
+          data: cached.data,
+        };
+      }
+      throw error;
+    }
+  });
+
+  return octokit;
+}
@@ -1,71 +1,433 @@
-#!/usr/bin/env node
-
-import { Command } from 'commander';
+import { Argument, Command, Option } from 'commander';
 import { config } from 'dotenv';
-import { Octokit } from '@octokit/rest';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
-import OpenAI from 'openai';
-import { promisify } from 'util';
-import { exec as execCallback } from 'child_process';
+import { appendFile, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import {
+  SETTINGS,
+  getRepositoryRoot,
+  loadConfig,
+  resolveSettings,
+  writeStarterConfig,
+} from './config.js';
+import { isValidVersion, suggestVersion } from './semver.js';
+import { createGitHubClient, getGitHubUrls } from './github.js';
+import { PROVIDERS, createProvider } from './providers.js';
+import {
+  CHUNK_PROMPT_TEMPLATE,
+  DEFAULT_BODY_TEMPLATE,
+  DEFAULT_PROMPT_TEMPLATE,
+  extractManualSections,
+  loadTemplate,
+  mergeManualSections,
+  renderTemplate,
+} from './templates.js';
+import {
+  CONTEXT_LEVELS,
+  chunkToBudget,
+  extractLinkedIssueNumbers,
+  fitToBudget,
+} from './context.js';
+import {
+  DEFAULT_CHANGELOG_PATH,
+  categorizeSummary,
+  groupCategorizedSections,
+  insertChangelogEntry,
+  renderChangelogEntry,
+} from './changelog.js';
+import { categorizePullRequests, validateCategories } from './categories.js';
+import { bumpVersionFile, formatVersionFileChanges, normalizeVersionFiles } from './versions.js';
+import { NOTIFIERS, resolveNotifiers, sendNotification } from './notifiers.js';
+import {
+  OTHER_CHANGES_HEADING,
+  WORKSPACES,
+  attributePullRequests,
+  findWorkspaceDirectories,
+  formatPackageSections,
+  getPackageTagPrefix,
+  normalizePackages,
+  parsePackageSections,
+  parseWorkspacePatterns,
+} from './packages.js';
+import {
+  getCredentialStorePath,
+  getGhCliToken,
+  getGitConfigValue,
+  getGitCredentialToken,
+  hasCredentialStore,
+  maskToken,
+  readCredentialStore,
+  unsetGitConfigValue,
+  writeCredentialStore,
+} from './credentials.js';
+import {
+  extractPRNumbersFromDescription,
+  fetchComparedPullRequests,
+  fetchPullRequests,
+  findLatestMergedReleasePR,
+  findLatestReleaseTag,
+  findPreviousRelease,
+  getReleaseTitlePattern,
+  getReleaseTitleVersion,
+  resolveSince,
+} from './pulls.js';
+import {
+  carryOverCheckedItems,
+  formatPRList,
+  formatRuleSummary,
+  formatVerificationChecklist,
+  getUserUrl,
+  isBot,
+  removeVerificationChecklist,
+} from './summary.js';
+import { detectLocalRepository } from './git.js';
 import { createRequire } from 'module';
 
 // Initialize utilities
-const exec = promisify(execCallback);
 const require = createRequire(import.meta.url);
 
-// Load environment variables
-config();
+// Initialize CLI program
+const program = new Command();
+const pkg = require('../package.json');
+
+// Whether prompts can be shown to the user (false when running in CI or without a TTY)
+let interactive = true;
+
+// Spinner of the running operation and the notice shown next to it, e.g. a low rate limit
+let activeSpinner = null;
+let spinnerNotice = '';
+
+// Preview files written during this run
+const writtenPreviews = new Set();
+
+// Whether the run result is printed as JSON to stdout (--json)
+let jsonOutput = false;
 
-// Setup graceful exit handlers
-process.stdin.setRawMode(true);
-process.stdin.resume();
-process.stdin.setEncoding('utf8');
+// Strategies for finding unreleased pull requests
+const STRATEGIES = ['date', 'compare'];
+
+// Repository in owner/name format
+const REPOSITORY_PATTERN = /^([\w.-]+)\/([\w.-]+)$/;
+
+// Ways to summarize the selected pull requests
+const SUMMARY_TYPES = ['ai', 'list', 'rules'];
+
+// Milestone title used by --milestone without a title
+const DEFAULT_MILESTONE_TITLE = '{{version}}';
+
+// Release PR title of --package runs when the title format is the default, which doesn't
+// name the package
+const PACKAGE_TITLE_FORMAT = 'Release: {{tag}}';
+
+// CLI flags that answer each prompt, used in non-interactive error messages
+const FLAG_NAMES = {
+  repoSelection: '--repo',
+  sourceBranch: '--source',
+  targetBranch: '--target',
+  selectedPRs: '--include',
+  summaryType: '--summary',
+  version: '--release-version',
+  confirm: '--yes',
+};
+
+/**
+ * Setup graceful exit handlers for interactive sessions
+ */
+function setupExitHandlers() {
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  process.stdin.setEncoding('utf8');
+
+  // Display exit instructions
+  console.log(chalk.cyan('Press Ctrl+C or q to exit at any time'));
+
+  process.stdin.on('data', (key) => {
+    // Ctrl+C or 'q' to exit
+    if (key === '\u0003' || key.toLowerCase() === 'q') {
+      console.log(chalk.yellow('\nExiting gracefully...'));
+      process.exit(0);
+    }
+  });
+}
 
-// Display exit instructions
-console.log(chalk.cyan('Press Ctrl+C or q to exit at any time'));
+/**
+ * Start a spinner for a long-running operation
+ * @param {string} text - Spinner text
+ * @returns {Object} Ora spinner
+ */
+function startSpinner(text) {
+  // Without animation, ora prints the start and end of each step as plain lines
+  activeSpinner = ora({
+    text,
+    suffixText: spinnerNotice,
+    isEnabled: jsonOutput ? false : undefined,
+  }).start();
+  return activeSpinner;
+}
 
-process.stdin.on('data', (key) => {
-  // Ctrl+C or 'q' to exit
-  if (key === '\u0003' || key.toLowerCase() === 'q') {
-    console.log(chalk.yellow('\nExiting gracefully...'));
-    process.exit(0);
+/**
+ * Show a notice next to the running spinner and the next ones, or clear it
+ * @param {string} notice - Notice text, or an empty string to clear it
+ */
+function setSpinnerNotice(notice) {
+  spinnerNotice = notice;
+  if (activeSpinner?.isSpinning) {
+    activeSpinner.suffixText = notice;
   }
-});
+}
 
-// Initialize CLI program
-const program = new Command();
-const pkg = require('../package.json');
+/**
+ * Switch to machine-readable output: colors and spinners are turned off and the
+ * human-readable output goes to stderr, so that stdout only holds the JSON document
+ */
+function enableJsonOutput() {
+  jsonOutput = true;
+  chalk.level = 0;
+  console.log = console.error;
+}
+
+/**
+ * Write a JSON document to stdout
+ * @param {Object} document - JSON-serializable document
+ */
+function printJson(document) {
+  process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+}
+
+/**
+ * Get the fields of a pull request included in the JSON output
+ * @param {Object} pr - Pull request
+ * @returns {Object} Pull request number, title, author, URL, merge date and labels
+ */
+function serializePR(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    author: pr.user?.login || null,
+    url: pr.html_url,
+    mergedAt: pr.merged_at || null,
+    labels: (pr.labels || []).map((label) => (typeof label === 'string' ? label : label.name)),
+  };
+}
+
+/**
+ * Print an error message and exit with a non-zero exit code
+ * @param {string} message - Error message
+ */
+function exitWithError(message) {
+  console.error(chalk.red(`Error: ${message}`));
+  process.exit(1);
+}
+
+/**
+ * Prompt the user, skipping questions already answered through CLI flags.
+ * In non-interactive mode, unanswered questions use their default or fail.
+ * @param {Array} questions - Inquirer questions
+ * @param {Object} [answers] - Answers provided through CLI flags
+ * @returns {Promise<Object>} Answers keyed by question name
+ */
+async function prompt(questions, answers = {}) {
+  const provided = Object.fromEntries(
+    Object.entries(answers).filter(([, value]) => value !== undefined)
+  );
+
+  // Flag values bypass inquirer, so validate them here
+  for (const question of questions) {
+    if (!(question.name in provided) || !question.validate) continue;
+
+    const result = await question.validate(provided[question.name]);
+    if (result !== true) {
+      const reason = typeof result === 'string' ? result : `"${provided[question.name]}"`;
+      exitWithError(`Invalid value for ${FLAG_NAMES[question.name] || question.name}: ${reason}`);
+    }
+  }
+
+  if (interactive) {
+    return inquirer.prompt(questions, provided);
+  }
+
+  const result = { ...provided };
+  for (const question of questions) {
+    if (question.name in result) continue;
+
+    if (question.default === undefined) {
+      const flag = FLAG_NAMES[question.name];
+      exitWithError(
+        `Missing required input in non-interactive mode: ${question.message}` +
+          (flag ? ` (use ${flag})` : '')
+      );
+    }
+    result[question.name] = question.default;
+  }
+  return result;
+}
+
+/**
+ * Get the services whose tokens are managed by the tool: GitHub and the LLM providers
+ * that need a token
+ * @returns {Object} Token configuration by service, with name, envKey, gitKey and createUrl
+ */
+function getTokenServices() {
+  const providers = Object.entries(PROVIDERS)
+    .filter(([, provider]) => provider.token)
+    .map(([key, provider]) => [key, { ...provider.token, name: provider.name }]);
+
+  return {
+    github: {
+      name: 'GitHub',
+      envKey: 'GITHUB_TOKEN',
+      gitKey: 'github.token',
+      createUrl: `${githubUrls.webUrl}/settings/tokens/new`,
+      additionalInfo: "Make sure to enable the 'repo' scope.",
+    },
+    ...Object.fromEntries(providers),
+  };
+}
 
 /**
- * Get token from git config
- * @param {string} key - Git config key
- * @returns {Promise<string|null>} Token value or null if not found
+ * Get the passphrase of the encrypted credential store from CREATE_APP_RELEASE_PASSPHRASE
+ * or a prompt. It is asked at most once per run.
+ * @param {Object} [options] - Passphrase options
+ * @param {boolean} [options.confirm] - Ask twice, when creating the store
+ * @returns {Promise<string|null>} Passphrase, or null in non-interactive mode without it
  */
-async function getGitConfigToken(key) {
+async function getPassphrase({ confirm = false } = {}) {
+  if (passphrase) return passphrase;
+
+  if (process.env.CREATE_APP_RELEASE_PASSPHRASE) {
+    passphrase = process.env.CREATE_APP_RELEASE_PASSPHRASE;
+    return passphrase;
+  }
+
+  if (!interactive) return null;
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: confirm
+        ? 'Choose a passphrase to encrypt your tokens:'
+        : 'Enter the passphrase of your stored tokens:',
+      validate: (input) => input.length > 0 || 'Passphrase is required',
+    },
+    ...(confirm
+      ? [
+          {
+            type: 'password',
+            name: 'confirmation',
+            message: 'Confirm the passphrase:',
+            validate: (input, { passphrase: first }) =>
+              input === first || 'Passphrases do not match',
+          },
+        ]
+      : []),
+  ]);
+
+  passphrase = answers.passphrase;
+  return passphrase;
+}
+
+/**
+ * Find a token without prompting for it. Sources, in order: environment variable, encrypted
+ * credential store, gh CLI and git credential helper (GitHub only), and the plain-text git
+ * config used by earlier versions.
+ * @param {string} service - Service key, e.g. "github" or "openai"
+ * @returns {Promise<{token: string, source: string, legacy?: boolean}|null>} Token and its
+ *   source, or null if none was found
+ */
+async function findToken(service) {
+  const { envKey, gitKey } = getTokenServices()[service];
+
+  if (process.env[envKey]) {
+    return { token: process.env[envKey], source: `${envKey} environment variable` };
+  }
+
+  if (await hasCredentialStore()) {
+    const secret = await getPassphrase();
+    const tokens = secret ? await readCredentialStore(secret) : {};
+    if (tokens[service]) {
+      return { token: tokens[service], source: 'encrypted credential store' };
+    }
+  }
+
+  if (service === 'github') {
+    const host = new URL(githubUrls.webUrl).host;
+
+    const ghToken = await getGhCliToken(host);
+    if (ghToken) return { token: ghToken, source: 'gh CLI' };
+
+    const credential = await getGitCredentialToken(host);
+    if (credential) return { token: credential, source: 'git credential helper' };
+  }
+
+  const legacyToken = await getGitConfigValue(gitKey);
+  if (legacyToken) {
+    return { token: legacyToken, source: `git config ${gitKey} (plain text)`, legacy: true };
+  }
+
+  return null;
+}
+
+/**
+ * Save a token to the encrypted credential store
+ * @param {string} service - Service key
+ * @param {string} token - Token
+ * @returns {Promise<void>}
+ */
+async function storeToken(service, token) {
+  const { name } = getTokenServices()[service];
+  const secret = await getPassphrase({ confirm: !(await hasCredentialStore()) });
+  if (!secret) {
+    exitWithError('Set CREATE_APP_RELEASE_PASSPHRASE to store tokens in non-interactive mode');
+  }
+
   try {
-    const { stdout } = await exec(`git config --global ${key}`);
-    return stdout.trim() || null;
-  } catch {
-    return null;
+    const tokens = await readCredentialStore(secret);
+    await writeCredentialStore({ ...tokens, [service]: token }, secret);
+  } catch (error) {
+    exitWithError(`Failed to save ${name} token: ${error.message}`);
   }
+  console.log(chalk.green(`${name} token saved to ${getCredentialStorePath()}`));
 }
 
 /**
- * Configure and get API token with support for environment variables, git config, and user input
- * @param {Object} config - Token configuration object
- * @param {string} config.envKey - Environment variable key
- * @param {string} config.gitKey - Git config key
- * @param {string} config.name - Service name (e.g., 'GitHub', 'OpenAI')
- * @param {string} config.createUrl - URL where users can create new tokens
- * @param {string} [config.additionalInfo] - Additional information to display
+ * Configure and get an API token from the environment, the credential backends or user input.
+ * Tokens entered by the user are saved to the encrypted credential store.
+ * @param {string} service - Service key, e.g. "github" or "openai"
  * @returns {Promise<string>} The configured token
  */
-async function configureToken({ envKey, gitKey, name, createUrl, additionalInfo = '' }) {
-  const token = process.env[envKey] || (await getGitConfigToken(gitKey));
+async function configureToken(service) {
+  const { envKey, gitKey, name, createUrl, additionalInfo = '' } = getTokenServices()[service];
+
+  let found;
+  try {
+    found = await findToken(service);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+
+  if (found) {
+    if (found.legacy) {
+      console.log(
+        chalk.yellow(
+          `Your ${name} token is stored in plain text in git config (${gitKey}). ` +
+            `Run "create-app-release auth set ${service}" to move it to the encrypted store.`
+        )
+      );
+    }
+    return found.token;
+  }
 
-  if (token) return token;
+  if (!interactive) {
+    exitWithError(
+      `No ${name} token found. Set the ${envKey} environment variable` +
+        ((await hasCredentialStore()) && !passphrase
+          ? ' or CREATE_APP_RELEASE_PASSPHRASE to unlock the encrypted credential store.'
+          : '.')
+    );
+  }
 
   console.log(
     chalk.yellow(`\nNo ${name} token found. Let's set one up.\n`) +
@@ -76,6 +438,17 @@ async function configureToken({ envKey, gitKey, name, createUrl, additionalInfo
     console.log(chalk.cyan(additionalInfo));
   }
 
+  const newToken = await promptToken(name);
+  await storeToken(service, newToken);
+  return newToken;
+}
+
+/**
+ * Ask the user for a token
+ * @param {string} name - Service name
+ * @returns {Promise<string>} Token
+ */
+async function promptToken(name) {
   const { newToken } = await inquirer.prompt([
     {
       type: 'password',
@@ -84,90 +457,171 @@ async function configureToken({ envKey, gitKey, name, createUrl, additionalInfo
       validate: (input) => input.length > 0 || 'Token is required',
     },
   ]);
+  return newToken.trim();
+}
+
+/**
+ * Get the OAuth scopes of a GitHub token from the headers of an API response
+ * @param {Object} headers - Response headers
+ * @returns {Array<string>|null} Scopes, or null for tokens without scopes (fine-grained tokens,
+ *   GitHub App tokens)
+ */
+function getTokenScopes(headers) {
+  const scopes = headers['x-oauth-scopes'];
+  if (scopes === undefined) return null;
+  return scopes
+    .split(',')
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+}
 
+/**
+ * Warn when the GitHub token lacks the "repo" scope, before private repositories return 404
+ * @returns {Promise<void>}
+ */
+async function checkTokenScopes() {
   try {
-    await exec(`git config --global ${gitKey} "${newToken}"`);
-    console.log(chalk.green(`${name} token saved successfully!`));
-    return newToken;
-  } catch (error) {
-    console.error(chalk.red(`Failed to save ${name} token:`), error.message);
-    process.exit(1);
+    // The rate limit endpoint doesn't count against the rate limit
+    const { headers } = await octokit.rest.rateLimit.get();
+    const scopes = getTokenScopes(headers);
+    if (scopes && !scopes.includes('repo')) {
+      console.log(
+        chalk.yellow(
+          `Your GitHub token is missing the 'repo' scope (scopes: ${scopes.join(', ') || 'none'}). ` +
+            'Private repositories will return 404 Not Found.'
+        )
+      );
+    }
+  } catch {
+    // The scope check is only a hint, API errors are reported by the actual requests
   }
 }
 
 // Initialize API clients
 let octokit;
-let openai;
+let llm;
+
+// Settings resolved from CLI flags, environment variables, config file and defaults
+let settings = resolveSettings({}, {});
+
+// Passphrase of the encrypted credential store, once entered
+let passphrase = null;
+
+// Templates for the AI prompt and the release PR body
+let templates = { prompt: DEFAULT_PROMPT_TEMPLATE, body: DEFAULT_BODY_TEMPLATE };
+
+// REST API and web URLs of the GitHub instance (github.com or GitHub Enterprise Server)
+let githubUrls = getGitHubUrls();
+
+// Repository of the git checkout in the working directory, released unless another is chosen
+let localRepository = null;
+
+// Login of the user the GitHub token belongs to, once looked up
+let authenticatedLogin = null;
 
 /**
- * Initialize GitHub and OpenAI tokens
- * @returns {Promise<Object>} Object containing both tokens
+ * Initialize GitHub token
+ * @returns {Promise<string>} GitHub token
  */
-async function initializeTokens() {
-  const githubToken = await configureToken({
-    envKey: 'GITHUB_TOKEN',
-    gitKey: 'github.token',
-    name: 'GitHub',
-    createUrl: 'https://github.com/settings/tokens/new',
-    additionalInfo: "Make sure to enable the 'repo' scope.",
-  });
+async function initializeGitHubToken() {
+  return configureToken('github');
+}
 
-  const openaiToken = await configureToken({
-    envKey: 'OPENAI_API_KEY',
-    gitKey: 'openai.token',
-    name: 'OpenAI',
-    createUrl: 'https://platform.openai.com/api-keys',
-  });
+/**
+ * Initialize the configured LLM provider and its token
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<void>}
+ */
+async function initializeProvider(options) {
+  const { provider } = settings;
+  const { token } = PROVIDERS[provider];
+
+  // --openai-key only applies to the OpenAI provider
+  let apiKey;
+  if (token) {
+    apiKey = (provider === 'openai' && options.openaiKey) || (await configureToken(provider));
+  }
 
-  return { githubToken, openaiToken };
+  const providerOptions = {
+    openai: { model: settings.model || settings.openaiModel, baseUrl: settings.openaiBaseUrl },
+    anthropic: { model: settings.model, baseUrl: settings.anthropicBaseUrl },
+    azure: {
+      model: settings.model || settings.azureDeployment,
+      baseUrl: settings.azureEndpoint,
+      apiVersion: settings.azureApiVersion,
+    },
+    ollama: { model: settings.model, baseUrl: settings.ollamaHost },
+  };
+
+  try {
+    llm = createProvider(provider, { apiKey, ...providerOptions[provider] });
+  } catch (error) {
+    exitWithError(error.message);
+  }
 }
 
 /**
- * Get the latest release pull request
+ * Find the previous release of a repository, showing the progress.
+ * With --since, pull requests merged after the given tag, commit or date are unreleased instead.
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @returns {Promise<Object|null>} Latest release PR or null
+ * @param {string} targetBranch - Target branch name
+ * @param {string} [since] - Value of --since
+ * @returns {Promise<Object>} Previous release returned by findPreviousRelease(), with the
+ *   "since" source when --since is given
  */
-async function getLatestReleasePR(owner, repo) {
+async function detectPreviousRelease(owner, repo, targetBranch, since) {
+  let sinceDate = null;
+  if (since) {
+    try {
+      sinceDate = await resolveSince(octokit, owner, repo, since);
+    } catch (error) {
+      exitWithError(error.message);
+    }
+  }
+
+  let previous = {
+    version: null,
+    tag: null,
+    date: null,
+    source: null,
+    pullRequest: null,
+    includedNumbers: new Set(),
+  };
+  const spinner = startSpinner('Finding the previous release...');
   try {
-    const iterator = octokit.paginate.iterator(octokit.rest.pulls.list, {
+    previous = await findPreviousRelease(octokit, {
       owner,
       repo,
-      state: 'closed',
-      sort: 'updated',
-      direction: 'desc',
-      per_page: 100,
+      targetBranch,
+      tagPrefix: settings.tagPrefix,
+      titleFormat: settings.titleFormat,
     });
 
-    for await (const { data } of iterator) {
-      // SemVer regex pattern: matches X.Y.Z with optional pre-release and build metadata
-      const semverPattern =
-        /\b(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?\b/;
-
-      const recentReleasePR = data.find((pr) => semverPattern.test(pr.title));
-      if (recentReleasePR) {
-        return recentReleasePR;
-      }
+    const found = previous.tag || (previous.pullRequest && `#${previous.pullRequest.number}`);
+    if (found) {
+      const source = { release: 'GitHub Release', tag: 'tag', releasePR: 'release PR' };
+      spinner.succeed(
+        `Previous release: ${found} (${source[previous.source]}, ${previous.date.slice(0, 10)})`
+      );
+    } else {
+      spinner.info('No previous release found');
     }
-    return null;
   } catch (error) {
-    console.error(chalk.red('Failed to fetch latest release PR:', error.message));
-    return null;
+    spinner.warn(`Could not detect the previous release: ${error.message}`);
   }
-}
-
-/**
- * Extract PR numbers from release PR description
- * @param {string} description - PR description
- * @returns {Set<number>} Set of PR numbers
- */
-function extractPRNumbersFromDescription(description) {
-  if (!description) return new Set();
 
-  // Match PR numbers in various formats like #123, (#123), or just plain 123 in PR lists
-  const prMatches = description.match(/#\d+|\(#\d+\)|(?<=PR:?\s*)\d+/g) || [];
-
-  return new Set(prMatches.map((match) => parseInt(match.replace(/[^0-9]/g, ''))));
+  // The version is still used to suggest the next one
+  if (sinceDate) {
+    return {
+      ...previous,
+      date: sinceDate,
+      source: 'since',
+      pullRequest: null,
+      includedNumbers: new Set(),
+    };
+  }
+  return previous;
 }
 
 /**
@@ -175,7 +629,7 @@ function extractPRNumbersFromDescription(description) {
  * @returns {Promise<Array>} List of repositories
  */
 async function fetchUserRepositories() {
-  const spinner = ora('Fetching your repositories...').start();
+  const spinner = startSpinner('Fetching your repositories...');
   try {
     // Get authenticated user info
     const { data: user } = await octokit.rest.users.getAuthenticated();
@@ -216,32 +670,26 @@ async function fetchUserRepositories() {
     const topRepos = repos.slice(0, 15);
     spinner.text = 'Analyzing your recent activity...';
 
-    // Process repositories in parallel with rate limiting
+    // Process repositories in parallel, the client throttles requests to the rate limits
+    const failures = [];
     await Promise.all(
-      topRepos.map(async (repo, index) => {
-        // Add delay to avoid hitting rate limits
-        await new Promise((resolve) => setTimeout(resolve, index * 100));
-
+      topRepos.map(async (repo) => {
         try {
           // Check for user's recent commits
-          const { data: commits } = await octokit.rest.repos
-            .listCommits({
-              owner: repo.owner,
-              repo: repo.repoName,
-              author: username,
-              per_page: 100,
-            })
-            .catch(() => ({ data: [] }));
+          const { data: commits } = await octokit.rest.repos.listCommits({
+            owner: repo.owner,
+            repo: repo.repoName,
+            author: username,
+            per_page: 100,
+          });
 
           // Check for user's recent PRs
-          const { data: prs } = await octokit.rest.pulls
-            .list({
-              owner: repo.owner,
-              repo: repo.repoName,
-              state: 'all',
-              per_page: 100,
-            })
-            .catch(() => ({ data: [] }));
+          const { data: prs } = await octokit.rest.pulls.list({
+            owner: repo.owner,
+            repo: repo.repoName,
+            state: 'all',
+            per_page: 100,
+          });
 
           // Calculate activity score based on recency and count
           const now = new Date();
@@ -264,7 +712,10 @@ async function fetchUserRepositories() {
           // Update the repository's activity score
           repo.activityScore = score;
         } catch (error) {
-          // Silently continue if we hit API limits or other issues
+          // Empty repositories have no commits to score
+          if (error.status !== 409) {
+            failures.push(`${repo.fullName}: ${error.message}`);
+          }
         }
       })
     );
@@ -278,6 +729,13 @@ async function fetchUserRepositories() {
     });
 
     spinner.succeed(`Found ${repos.length} repositories, sorted by your recent activity`);
+    if (failures.length > 0) {
+      console.log(
+        chalk.yellow(
+          `Could not analyze recent activity of ${failures.length} repositories:\n- ${failures.join('\n- ')}`
+        )
+      );
+    }
     return repos;
   } catch (error) {
     spinner.fail('Failed to fetch repositories');
@@ -287,58 +745,61 @@ async function fetchUserRepositories() {
 }
 
 /**
- * Fetch closed pull requests from the repository
+ * Find the unreleased pull requests with the configured strategy, showing the progress
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {string} baseBranch - Base branch name
- * @returns {Promise<Array>} List of pull requests
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @param {Object} previousRelease - Previous release returned by detectPreviousRelease()
+ * @returns {Promise<{pulls: Array, excluded: Array<{pr: Object, reason: string}>}>}
+ *   Unreleased pull requests, and the pull requests left out because they were released
  */
-async function fetchPullRequests(owner, repo, baseBranch) {
-  const spinner = ora('Fetching pull requests...').start();
-  try {
-    // Get the latest release PR first
-    const latestReleasePR = await getLatestReleasePR(owner, repo);
-
-    const includedPRNumbers = extractPRNumbersFromDescription(latestReleasePR?.body);
-    const pulls = [];
-    const iterator = octokit.paginate.iterator(octokit.rest.pulls.list, {
-      owner,
-      repo,
-      state: 'closed',
-      sort: 'updated',
-      direction: 'desc',
-      per_page: 100,
-    });
-
-    for await (const { data } of iterator) {
-      // Filter PRs that are merged after the last release, not included in it, and merged to the target branch
-      const relevantPRs = data.filter((pr) => {
-        // Skip PRs that aren't merged
-        if (!pr.merged_at) return false;
-
-        // Skip PRs that aren't targeting the specified branch
-        if (pr.base && pr.base.ref !== baseBranch) return false;
-
-        const isAfterLastRelease = latestReleasePR
-          ? new Date(pr.merged_at) >= new Date(latestReleasePR.merged_at)
-          : true;
+async function findUnreleasedPullRequests(
+  owner,
+  repo,
+  sourceBranch,
+  targetBranch,
+  previousRelease
+) {
+  if (settings.strategy === 'compare') {
+    const spinner = startSpinner(`Comparing ${targetBranch}...${sourceBranch}...`);
+    try {
+      const result = await fetchComparedPullRequests(
+        octokit,
+        owner,
+        repo,
+        sourceBranch,
+        targetBranch,
+        (text) => (spinner.text = text)
+      );
 
-        return (
-          isAfterLastRelease &&
-          !includedPRNumbers.has(`#${pr.number}`) &&
-          pr.id !== latestReleasePR?.id
-        );
-      });
-      pulls.push(...relevantPRs);
+      spinner.succeed(
+        `Found ${result.pulls.length} unreleased pull requests in ${result.commitCount} commits between ${targetBranch} and ${sourceBranch}`
+      );
+      return result;
+    } catch (error) {
+      spinner.fail('Failed to compare branches');
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
     }
+  }
 
-    const excludedCount = includedPRNumbers.size;
-    const message = latestReleasePR
-      ? `Found ${pulls.length} new merged pull requests (excluding ${excludedCount} PRs from last release)`
-      : `Found ${pulls.length} merged pull requests`;
+  const spinner = startSpinner('Fetching pull requests...');
+  try {
+    const result = await fetchPullRequests(octokit, owner, repo, sourceBranch, previousRelease);
+    const { date, pullRequest, source, tag } = previousRelease;
+
+    let message = `Found ${result.pulls.length} merged pull requests`;
+    if (source === 'since') {
+      message += ` since ${date.slice(0, 10)}`;
+    } else if (pullRequest) {
+      message = `Found ${result.pulls.length} new merged pull requests (excluding ${result.excluded.length} PRs from last release)`;
+    } else if (date) {
+      message = `Found ${result.pulls.length} new merged pull requests since ${tag}`;
+    }
 
     spinner.succeed(message);
-    return pulls;
+    return result;
   } catch (error) {
     spinner.fail('Failed to fetch pull requests');
     console.error(chalk.red(`Error: ${error.message}`));
@@ -347,52 +808,117 @@ async function fetchPullRequests(owner, repo, baseBranch) {
 }
 
 /**
- * Generate an AI-powered release summary from selected pull requests
+ * Fetch the pull request details sent to the AI for the configured context level
+ * - minimal: number, title, author, date and URL
+ * - standard: adds the description and labels
+ * - full: adds linked issue titles, changed file paths and additions/deletions
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} pulls - List of pull requests
+ * @param {string} level - Context level
+ * @returns {Promise<Array>} Pull request details
+ */
+async function fetchPRDetails(owner, repo, pulls, level) {
+  const details = pulls.map(getPRDetails);
+  if (level === 'minimal') return details;
+
+  pulls.forEach((pr, index) => {
+    details[index].description = pr.body || '';
+    details[index].labels = (pr.labels || []).map((label) => label.name);
+  });
+  if (level !== 'full') return details;
+
+  const spinner = startSpinner('Fetching pull request details...');
+  const issueTitles = new Map();
+  try {
+    for (const [index, pr] of pulls.entries()) {
+      spinner.text = `Fetching pull request details (${index + 1}/${pulls.length})...`;
+
+      const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+        owner,
+        repo,
+        pull_number: pr.number,
+        per_page: 100,
+      });
+      details[index].files = files.map((file) => file.filename);
+      details[index].additions = files.reduce((total, file) => total + file.additions, 0);
+      details[index].deletions = files.reduce((total, file) => total + file.deletions, 0);
+
+      const linkedIssues = [];
+      for (const number of extractLinkedIssueNumbers(pr.body)) {
+        if (!issueTitles.has(number)) {
+          const title = await octokit.rest.issues
+            .get({ owner, repo, issue_number: number })
+            .then(({ data }) => data.title)
+            .catch(() => null);
+          issueTitles.set(number, title);
+        }
+        if (issueTitles.get(number)) {
+          linkedIssues.push({ number, title: issueTitles.get(number) });
+        }
+      }
+      details[index].linkedIssues = linkedIssues;
+    }
+    spinner.succeed(`Fetched details of ${pulls.length} pull requests`);
+  } catch (error) {
+    // Summaries can still be generated from the details fetched so far
+    spinner.warn(`Could not fetch all pull request details: ${error.message}`);
+  }
+  return details;
+}
+
+/**
+ * Generate an AI-powered release summary from selected pull requests.
+ * Pull request details are trimmed to the token budget; when they still don't fit,
+ * parts of the pull requests are summarized first and combined in a final summary.
  * @param {Array} selectedPRs - List of selected pull requests
+ * @param {Object} [templateContext] - Variables available to the prompt template
+ * @param {Array} [prDetails] - Pull request details sent to the AI
+ * @param {string} [instruction] - Extra instruction appended to the prompt, e.g. "shorter"
  * @returns {Promise<string>} Generated release summary
  */
-async function generateSummary(selectedPRs) {
-  const spinner = ora('Generating release summary...').start();
+async function generateSummary(
+  selectedPRs,
+  templateContext = {},
+  prDetails = selectedPRs.map(getPRDetails),
+  instruction = ''
+) {
+  const spinner = startSpinner(`Generating release summary with ${llm.name} (${llm.model})...`);
   try {
-    const prDetails = selectedPRs.map((pr) => ({
-      number: pr.number,
-      title: pr.title,
-      author: pr.user.login,
-      authorUrl: `https://github.com/${pr.user.login}`,
-      date: new Date(pr.created_at).toLocaleDateString(),
-      url: pr.html_url,
-    }));
-
-    const prompt = `Create a release summary for the following pull requests. The summary should have two parts:
-
-1. Group the changes by type (e.g., Features, Bug Fixes, Improvements) and list them down in bullet points. 
-  1.1 Make each type is an h3 header with a corresponding emoji prefix.
-  1.2 For each type, make each bullet point concise and easy to read and understand for non-tech people.
-  1.3 Don't link the bullet points to a pull requests
-2. The last section should be a list of pull requests included in the release. Format: "#<number> - <title> by [@<author>](<authorUrl>) (<date>)".
-3. Don't add Release Summary title/heading.
-
-Pull Requests to summarize:
-${JSON.stringify(prDetails, null, 2)}
-
-Keep the summary concise, clear, and focused on the user impact. Use professional but easy-to-understand language.`;
-
-    const model = program.opts().openaiModel || 'gpt-4o';
-    const response = await openai.chat.completions.create({
-      model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.7,
-    });
+    const budget = Number(settings.tokenBudget);
+    const { details, fits } = fitToBudget(prDetails, budget);
+
+    const notes = [];
+    if (!fits) {
+      const chunks = chunkToBudget(prDetails, budget);
+      for (const [index, chunk] of chunks.entries()) {
+        spinner.text = `Summarizing pull requests (part ${index + 1}/${chunks.length})...`;
+        const chunkPrompt = renderTemplate(CHUNK_PROMPT_TEMPLATE, {
+          prsJson: JSON.stringify(chunk, null, 2),
+        });
+        notes.push(await llm.complete(chunkPrompt, { temperature: 0.7 }));
+      }
+      spinner.text = `Generating release summary with ${llm.name} (${llm.model})...`;
+    }
 
-    // Validate response structure
-    if (!response?.choices?.length || !response.choices[0]?.message?.content) {
-      throw new Error(
-        'Invalid API response structure. Expected response.choices[0].message.content'
-      );
+    // Partial notes carry the details, so the final prompt only lists the pull requests
+    const promptDetails = fits ? details : selectedPRs.map(getPRDetails);
+    let prompt = renderTemplate(templates.prompt, {
+      ...templateContext,
+      prs: promptDetails,
+      prsJson: JSON.stringify(promptDetails, null, 2),
+    });
+    if (notes.length > 0) {
+      prompt += `\n\nNotes summarized from the pull request details:\n\n${notes.join('\n\n')}`;
+    }
+    if (instruction) {
+      prompt += `\n\nAdditional instructions: ${instruction}`;
     }
 
+    const content = await llm.complete(prompt, { temperature: 0.7 });
+
     spinner.succeed('Summary generated successfully');
-    return response.choices[0].message.content;
+    return content;
   } catch (error) {
     spinner.fail('Failed to generate summary');
 
@@ -410,23 +936,24 @@ Keep the summary concise, clear, and focused on the user impact. Use professiona
       console.error(chalk.red(`Error: ${error.message}`));
     }
 
+    // Without a prompt, the fallback would silently replace the requested AI summary
+    if (!interactive) {
+      console.error(chalk.cyan('Use --summary rules to group the pull requests by rules.'));
+      process.exit(1);
+    }
+
     // Provide fallback option
-    const { useFallback } = await inquirer.prompt([
+    const { useFallback } = await prompt([
       {
         type: 'confirm',
         name: 'useFallback',
-        message: 'Would you like to use a simple list format instead?',
+        message: 'Would you like to group the pull requests by rules instead?',
         default: true,
       },
     ]);
 
     if (useFallback) {
-      return selectedPRs
-        .map((pr) => {
-          const date = new Date(pr.created_at).toLocaleDateString();
-          return `#${pr.number} - ${pr.title} (by [@${pr.user.login}](https://github.com/${pr.user.login}) on ${date})`;
-        })
-        .join('\n');
+      return summarizeByRules(selectedPRs).summary;
     }
 
     process.exit(1);
@@ -434,261 +961,2596 @@ Keep the summary concise, clear, and focused on the user impact. Use professiona
 }
 
 /**
- * Create a release pull request with the generated summary
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} summary - Generated release summary
- * @param {Array} selectedPRs - List of selected pull requests
- * @param {string} sourceBranch - Source branch name
- * @param {string} targetBranch - Target branch name
- * @param {string} version - Release version
- * @returns {Promise<Object>} Created pull request data
+ * Create the summarizer of a release. In a monorepo, each changed package is summarized in
+ * its own section, followed by the pull requests that changed no package. Pull request
+ * details are fetched once, for the first AI summary.
+ * @param {Object} release - Release information
+ * @param {string} release.owner - Repository owner
+ * @param {string} release.repo - Repository name
+ * @param {Array} release.selectedPRs - Pull requests included in the release
+ * @param {Object} release.templateContext - Variables available to the prompt template
+ * @param {Object} [release.plan] - Package releases returned by planPackageReleases()
+ * @returns {Function} Summarizer taking the summary type and an optional AI instruction, and
+ *   resolving to the summary and the pull requests left out of it by the rules
  */
-async function createReleasePR(
-  owner,
-  repo,
-  summary,
-  selectedPRs,
-  sourceBranch,
-  targetBranch,
-  version
-) {
-  const spinner = ora('Creating release PR...').start();
-  try {
-    const body = `# Release Summary
-
-${summary}`;
-
-    const { data: pr } = await octokit.pulls.create({
-      owner,
-      repo,
-      title: `Release: Version ${version}`,
-      head: sourceBranch,
-      base: targetBranch,
-      body,
-      draft: true,
-    });
-
-    spinner.succeed(`Release PR #${pr.number} created successfully`);
-    return pr;
-  } catch (error) {
-    spinner.fail('Failed to create release PR');
-    console.error(chalk.red(`Error: ${error.message}`));
-    process.exit(1);
-  }
+function createSummarizer({ owner, repo, selectedPRs, templateContext, plan }) {
+  const details = new Map();
+
+  const summarizePulls = async (pulls, summaryType, context, instruction) => {
+    if (summaryType === 'ai') {
+      const missing = pulls.filter((pr) => !details.has(pr.number));
+      if (missing.length > 0) {
+        const fetched = await fetchPRDetails(owner, repo, missing, settings.context);
+        missing.forEach((pr, index) => details.set(pr.number, fetched[index]));
+      }
+      const prDetails = pulls.map((pr) => details.get(pr.number));
+      return { summary: await generateSummary(pulls, context, prDetails, instruction) };
+    }
+    if (summaryType === 'rules') return summarizeByRules(pulls);
+    return { summary: formatPRList(pulls, githubUrls.webUrl) };
+  };
+
+  return async (summaryType, instruction) => {
+    if (!plan) return summarizePulls(selectedPRs, summaryType, templateContext, instruction);
+
+    const sections = [];
+    const excluded = new Map();
+    const groups = [
+      ...plan.packages.map((item) => ({
+        ...item,
+        context: { ...templateContext, package: serializePackage(item) },
+      })),
+      ...(plan.other.length > 0
+        ? [{ name: OTHER_CHANGES_HEADING, pulls: plan.other, context: templateContext }]
+        : []),
+    ];
+    for (const { name, version, pulls, context } of groups) {
+      const section = await summarizePulls(pulls, summaryType, context, instruction);
+      sections.push({ name, version, summary: section.summary });
+      // A pull request that changed several packages is left out of each of them
+      (section.excluded || []).forEach((item) => excluded.set(item.pr.number, item));
+    }
+    return { summary: formatPackageSections(sections), excluded: [...excluded.values()] };
+  };
 }
 
-async function run() {
-  // Get command line options
-  const options = program.opts();
+/**
+ * Review the summary before creating the release PR: accept it, edit it in $EDITOR, regenerate
+ * it with an extra instruction or a different model, or switch formats, until it is accepted.
+ * Every variant is kept in a history, so a previous one can be restored.
+ * @param {Object} review - Summary review
+ * @param {string} review.summary - Initial summary
+ * @param {string} review.label - Description of the initial summary, e.g. "AI (gpt-4o)"
+ * @param {Function} review.summarize - Summarizer returned by createSummarizer()
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<string>} Accepted summary
+ */
+async function reviewSummary({ summary, label, summarize }, options) {
+  const history = [{ label, summary }];
+  let current = summary;
 
-  // Initialize GitHub token
-  const { githubToken } = await initializeTokens();
+  // Regenerate an AI summary, initializing the provider when the summary wasn't AI-generated
+  const regenerate = async (instruction) => {
+    if (!llm) await initializeProvider(options);
 
-  // Get OpenAI token from command line or fallback to configuration
-  let openaiToken = options.openaiKey;
-  if (!openaiToken) {
-    const tokens = await initializeTokens();
-    openaiToken = tokens.openaiToken;
-  }
+    const { summary: regenerated } = await summarize('ai', instruction);
+    const model = `AI (${llm.model})`;
+    return { label: instruction ? `${model}: ${instruction}` : model, summary: regenerated };
+  };
 
-  // Initialize clients with tokens
-  octokit = new Octokit({
-    auth: githubToken,
+  for (;;) {
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do with this summary?',
+        choices: [
+          { name: 'Accept', value: 'accept' },
+          { name: 'Edit in $EDITOR', value: 'edit' },
+          { name: 'Regenerate with an extra instruction', value: 'instruction' },
+          { name: 'Regenerate with a different model', value: 'model' },
+          { name: 'Use the list format', value: 'list' },
+          { name: 'Group by rules', value: 'rules' },
+          ...(history.length > 1
+            ? [{ name: 'Go back to a previous version', value: 'history' }]
+            : []),
+        ],
+      },
+    ]);
+
+    if (action === 'accept') return current;
+
+    let variant;
+    if (action === 'edit') {
+      const { edited } = await inquirer.prompt([
+        { type: 'editor', name: 'edited', message: 'Edit the summary:', default: current },
+      ]);
+      variant = { label: 'Edited', summary: edited.trim() };
+    } else if (action === 'instruction') {
+      const { instruction } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'instruction',
+          message: 'Instruction for the AI (e.g. "shorter", "more technical"):',
+          validate: (input) => input.trim().length > 0 || 'Enter an instruction',
+        },
+      ]);
+      variant = await regenerate(instruction.trim());
+    } else if (action === 'model') {
+      const { model } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'model',
+          message: `Model to use with ${PROVIDERS[settings.provider].name}:`,
+          default: llm?.model,
+          validate: (input) => input.trim().length > 0 || 'Enter a model name',
+        },
+      ]);
+      settings.model = model.trim();
+      await initializeProvider(options);
+      variant = await regenerate();
+    } else if (action === 'list') {
+      variant = { label: 'List', summary: (await summarize('list')).summary };
+    } else if (action === 'rules') {
+      variant = { label: 'Rules', summary: (await summarize('rules')).summary };
+    } else {
+      const { index } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'index',
+          message: 'Select a previous version:',
+          choices: history.map((entry, index) => ({
+            name: `${index + 1}. ${entry.label}: ${entry.summary.split('\n').find(Boolean) || ''}`,
+            value: index,
+          })),
+        },
+      ]);
+      current = history[index].summary;
+    }
+
+    if (variant) {
+      history.push(variant);
+      current = variant.summary;
+    }
+
+    console.log(chalk.cyan('\nSummary:'));
+    console.log(current);
+  }
+}
+
+/**
+ * Find the package tags of a merged monorepo release PR: the tagged packages with a section
+ * in its release notes. A --package release has no other package tags.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} releasePR - Merged release PR
+ * @returns {Promise<Array<string>>} Package tags, e.g. @acme/web@1.3.0
+ */
+async function findPackageTags(owner, repo, releasePR) {
+  if (settings.packages.length === 0 || settings.package) return [];
+
+  const packages = await loadPackages(owner, repo, releasePR.merge_commit_sha);
+  return parsePackageSections(releasePR.body, packages)
+    .filter(({ name }) => packages.find((item) => item.name === name).tag)
+    .map(({ name, version }) => `${getPackageTagPrefix(name)}${version}`);
+}
+
+/**
+ * Format the release PR title from the configured title format
+ * @param {string} version - Release version
+ * @param {Object} [templateContext] - Additional template variables
+ * @returns {string} Release PR title
+ */
+function formatReleaseTitle(version, templateContext = {}) {
+  return renderTemplate(settings.titleFormat, {
+    tag: `${settings.tagPrefix}${version}`,
+    ...templateContext,
+    version,
   });
+}
+
+/**
+ * Get the details of a pull request exposed to the AI prompt and templates
+ * @param {Object} pr - Pull request
+ * @returns {Object} Pull request details
+ */
+function getPRDetails(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    author: pr.user.login,
+    authorUrl: getUserUrl(githubUrls.webUrl, pr.user.login),
+    date: new Date(pr.created_at).toLocaleDateString(),
+    url: pr.html_url,
+  };
+}
+
+/**
+ * Build the variables available to the prompt, title and body templates
+ * @param {Object} release - Release information
+ * @param {string} release.owner - Repository owner
+ * @param {string} release.repo - Repository name
+ * @param {string} release.sourceBranch - Source branch name
+ * @param {string} release.targetBranch - Target branch name
+ * @param {string} release.version - Release version
+ * @param {string|null} release.previousVersion - Version of the previous release
+ * @param {Array} release.pulls - Pull requests included in the release
+ * @returns {Object} Template variables
+ */
+function buildTemplateContext({
+  owner,
+  repo,
+  sourceBranch,
+  targetBranch,
+  version,
+  previousVersion,
+  pulls,
+}) {
+  const compareBase = previousVersion ? `${settings.tagPrefix}${previousVersion}` : targetBranch;
+  const contributors = [...new Set(pulls.map((pr) => pr.user.login))].map((login) => ({
+    login,
+    url: getUserUrl(githubUrls.webUrl, login),
+  }));
+
+  return {
+    repository: `${owner}/${repo}`,
+    repositoryUrl: `${githubUrls.webUrl}/${owner}/${repo}`,
+    sourceBranch,
+    targetBranch,
+    version,
+    previousVersion,
+    tag: `${settings.tagPrefix}${version}`,
+    date: new Date().toISOString().slice(0, 10),
+    prs: pulls.map(getPRDetails),
+    contributors,
+    checklist: settings.authorChecklist ? formatVerificationChecklist(pulls, sourceBranch) : '',
+    compareUrl: `${githubUrls.webUrl}/${owner}/${repo}/compare/${compareBase}...${sourceBranch}`,
+  };
+}
+
+/**
+ * Initialize a starter config file in the repository root
+ * @param {Object} options - Init command options
+ * @returns {Promise<void>}
+ */
+async function init(options) {
+  try {
+    const path = await writeStarterConfig(options);
+    console.log(chalk.green(`Config file created at ${path}`));
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+/**
+ * Get the login of the user the GitHub token belongs to
+ * @returns {Promise<string>} GitHub username
+ */
+async function getAuthenticatedLogin() {
+  if (!authenticatedLogin) {
+    const { data: user } = await octokit.rest.users.getAuthenticated();
+    authenticatedLogin = user.login;
+  }
+  return authenticatedLogin;
+}
+
+/**
+ * Remove duplicate names, ignoring case
+ * @param {Array<string>} names - GitHub usernames, team names or labels
+ * @returns {Array<string>} Names in their first spelling
+ */
+function uniqueNames(names) {
+  return names.filter(
+    (name, index) =>
+      names.findIndex((other) => other.toLowerCase() === name.toLowerCase()) === index
+  );
+}
+
+/**
+ * Build the reviewers, labels, assignees and milestone of a release PR from the settings.
+ * Reviewers in org/team format are requested as teams, and "@me" assigns the user running
+ * the release. With authorReviewers, the authors of the included pull requests are requested
+ * as reviewers too, except bots and the author of the release PR, who GitHub doesn't allow.
+ * @param {Array} selectedPRs - Pull requests included in the release
+ * @param {Object} context - Template variables, used for the milestone title
+ * @param {Object} [existingPR] - Open release PR that is updated
+ * @returns {Promise<Object>} Release PR metadata: reviewers, teamReviewers, labels and
+ *   assignees, and the milestone title or null
+ */
+async function getReleasePRMetadata(selectedPRs, context, existingPR = null) {
+  const names = settings.reviewers.map((name) => name.replace(/^@/, ''));
+  const teamReviewers = names.filter((name) => name.includes('/'));
+  const reviewers = names.filter((name) => !name.includes('/'));
+  if (settings.authorReviewers) {
+    reviewers.push(...selectedPRs.filter((pr) => !isBot(pr.user)).map((pr) => pr.user.login));
+  }
+
+  let login = null;
+  if (reviewers.length > 0 || settings.assignees.includes('@me')) {
+    try {
+      login = await getAuthenticatedLogin();
+    } catch (error) {
+      console.log(chalk.yellow(`Could not look up your GitHub user: ${error.message}`));
+    }
+  }
+
+  const author = (existingPR?.user?.login || login || '').toLowerCase();
+  const assignees = settings.assignees
+    .map((name) => (name === '@me' ? login : name.replace(/^@/, '')))
+    .filter(Boolean);
+  const milestone = settings.milestone
+    ? renderTemplate(
+        settings.milestone === true ? DEFAULT_MILESTONE_TITLE : settings.milestone,
+        context
+      ).trim()
+    : '';
+
+  return {
+    reviewers: uniqueNames(reviewers).filter((name) => name.toLowerCase() !== author),
+    teamReviewers: uniqueNames(teamReviewers),
+    labels: uniqueNames(settings.labels),
+    assignees: uniqueNames(assignees),
+    milestone: milestone || null,
+  };
+}
 
-  openai = new OpenAI({
-    apiKey: openaiToken,
-    baseURL: options.openaiBaseUrl,
+/**
+ * Find a milestone by title, creating it when the repository doesn't have it yet
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} title - Milestone title
+ * @returns {Promise<number>} Milestone number
+ */
+async function findOrCreateMilestone(owner, repo, title) {
+  const milestones = await octokit.paginate(octokit.rest.issues.listMilestones, {
+    owner,
+    repo,
+    state: 'all',
+    per_page: 100,
   });
+  const existing = milestones.find((milestone) => milestone.title === title);
+  if (existing) return existing.number;
+
+  const { data: created } = await octokit.rest.issues.createMilestone({ owner, repo, title });
+  return created.number;
+}
+
+/**
+ * Request the reviewers and add the labels, assignees and milestone of a release PR
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Release PR number
+ * @param {Object} metadata - Release PR metadata, see getReleasePRMetadata()
+ * @returns {Promise<void>}
+ */
+async function applyReleasePRMetadata(owner, repo, number, metadata) {
+  const { reviewers, teamReviewers, labels, assignees, milestone } = metadata;
+  const issue = { owner, repo, issue_number: number };
+
+  const steps = [
+    reviewers.length + teamReviewers.length > 0 && {
+      action: 'request reviewers',
+      description: `requested reviews from ${[...reviewers, ...teamReviewers].join(', ')}`,
+      run: () =>
+        octokit.rest.pulls.requestReviewers({
+          owner,
+          repo,
+          pull_number: number,
+          reviewers,
+          team_reviewers: teamReviewers.map((team) => team.split('/').pop()),
+        }),
+    },
+    labels.length > 0 && {
+      action: 'add labels',
+      description: `labeled ${labels.join(', ')}`,
+      run: () => octokit.rest.issues.addLabels({ ...issue, labels }),
+    },
+    assignees.length > 0 && {
+      action: 'add assignees',
+      description: `assigned ${assignees.join(', ')}`,
+      run: () => octokit.rest.issues.addAssignees({ ...issue, assignees }),
+    },
+    milestone && {
+      action: 'set the milestone',
+      description: `added to milestone ${milestone}`,
+      run: async () =>
+        octokit.rest.issues.update({
+          ...issue,
+          milestone: await findOrCreateMilestone(owner, repo, milestone),
+        }),
+    },
+  ].filter(Boolean);
+  if (steps.length === 0) return;
+
+  const spinner = startSpinner(`Updating release PR #${number}...`);
+  const done = [];
+  const failures = [];
+  for (const step of steps) {
+    try {
+      await step.run();
+      done.push(step.description);
+    } catch (error) {
+      failures.push(`Could not ${step.action}: ${error.message}`);
+    }
+  }
+
+  if (failures.length === 0) {
+    spinner.succeed(`Release PR #${number} ${done.join(', ')}`);
+    return;
+  }
+  spinner.warn(
+    done.length > 0
+      ? `Release PR #${number} ${done.join(', ')}, with errors`
+      : `Could not update the reviewers, labels, assignees or milestone of release PR #${number}`
+  );
+  failures.forEach((failure) => console.log(chalk.yellow(`- ${failure}`)));
+}
+
+/**
+ * Create a release pull request with the generated summary
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} summary - Generated release summary
+ * @param {Array} selectedPRs - List of selected pull requests
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @param {string} version - Release version
+ * @param {Object} [templateContext] - Variables available to the title and body templates
+ * @param {Object} [existingPR] - Open release PR to update instead of creating a new one
+ * @returns {Promise<{payload: Object, metadata: Object, pr: Object|null}>} Release PR payload,
+ *   reviewers, labels, assignees and milestone, and the created or updated pull request data,
+ *   or null in a dry run
+ */
+async function createReleasePR(
+  owner,
+  repo,
+  summary,
+  selectedPRs,
+  sourceBranch,
+  targetBranch,
+  version,
+  templateContext = {},
+  existingPR = null
+) {
+  const context = { ...templateContext, version, summary };
+  let body = renderTemplate(templates.body, context);
+
+  // Keep the sections edited by hand and the checked items of the open release PR
+  if (existingPR) {
+    body = mergeManualSections(body, extractManualSections(existingPR.body));
+    body = carryOverCheckedItems(body, existingPR.body);
+  }
+
+  const payload = {
+    owner,
+    repo,
+    title: formatReleaseTitle(version, context),
+    head: sourceBranch,
+    base: targetBranch,
+    body,
+    // The draft state of an open release PR isn't changed
+    draft: existingPR ? existingPR.draft : settings.draft,
+  };
+  const metadata = await getReleasePRMetadata(selectedPRs, context, existingPR);
+
+  const { dryRun, output } = program.opts();
+  if (dryRun || output) {
+    await previewReleasePR(payload, metadata, output, existingPR);
+    return { payload, metadata, pr: null };
+  }
+
+  let pr;
+  if (existingPR) {
+    const spinner = startSpinner(`Updating release PR #${existingPR.number}...`);
+    try {
+      ({ data: pr } = await octokit.rest.pulls.update({
+        owner,
+        repo,
+        pull_number: existingPR.number,
+        title: payload.title,
+        body: payload.body,
+      }));
+
+      spinner.succeed(`Release PR #${pr.number} updated successfully`);
+    } catch (error) {
+      spinner.fail('Failed to update release PR');
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  } else {
+    const spinner = startSpinner('Creating release PR...');
+    try {
+      ({ data: pr } = await octokit.pulls.create(payload));
+
+      spinner.succeed(`Release PR #${pr.number} created successfully`);
+    } catch (error) {
+      spinner.fail('Failed to create release PR');
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  await applyReleasePRMetadata(owner, repo, pr.number, metadata);
+  return { payload, metadata, pr };
+}
+
+/**
+ * Add the release notes to the changelog, grouped into Keep a Changelog sections.
+ * The file is committed to the source branch through the contents API, or written to the
+ * working tree with --local.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} summary - Release summary
+ * @param {Array} selectedPRs - Pull requests included in the release
+ * @param {Object} templateContext - Release template variables
+ * @returns {Promise<void>}
+ */
+async function updateChangelog(owner, repo, summary, selectedPRs, templateContext) {
+  const path = settings.changelog === true ? DEFAULT_CHANGELOG_PATH : settings.changelog;
+  const { version, previousVersion, tag, sourceBranch, repositoryUrl, date } = templateContext;
+  const { dryRun, output, local } = program.opts();
+
+  // Reuse the grouping of the summary, or group the pull requests by rules when it has none
+  const sections =
+    categorizeSummary(summary) ||
+    groupCategorizedSections(categorizePullRequests(selectedPRs, settings).sections);
+  const entry = renderChangelogEntry({ version, date, sections });
+  const release = {
+    version,
+    tag,
+    url: previousVersion
+      ? `${repositoryUrl}/compare/${settings.tagPrefix}${previousVersion}...${tag}`
+      : `${repositoryUrl}/releases/tag/${tag}`,
+  };
+
+  if (dryRun || output) {
+    console.log(chalk.cyan(`\nChangelog entry (${path}):`));
+    console.log(entry);
+    return;
+  }
+
+  if (local) {
+    const filePath = join(await getRepositoryRoot(), path);
+    let content = '';
+    try {
+      content = await readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') exitWithError(`Failed to read ${filePath}: ${error.message}`);
+    }
+
+    await writeFile(filePath, insertChangelogEntry(content, entry, release));
+    console.log(chalk.green(`Updated ${filePath}`));
+    return;
+  }
+
+  const spinner = startSpinner(`Updating ${path} on ${sourceBranch}...`);
+  try {
+    let content = '';
+    let sha;
+    try {
+      const { data } = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path,
+        ref: sourceBranch,
+      });
+      content = Buffer.from(data.content, 'base64').toString('utf8');
+      sha = data.sha;
+    } catch (error) {
+      // A missing changelog is created
+      if (error.status !== 404) throw error;
+    }
+
+    await octokit.rest.repos.createOrUpdateFileContents({
+      owner,
+      repo,
+      path,
+      branch: sourceBranch,
+      message: `docs: update changelog for ${version}`,
+      content: Buffer.from(insertChangelogEntry(content, entry, release)).toString('base64'),
+      sha,
+    });
+
+    spinner.succeed(`Committed ${path} to ${sourceBranch}`);
+  } catch (error) {
+    spinner.fail(`Failed to update ${path}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the content of a file in a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {Promise<string>} File content
+ */
+async function getFileContent(owner, repo, path, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref });
+    return Buffer.from(data.content, 'base64').toString('utf8');
+  } catch (error) {
+    if (error.status === 404) throw Object.assign(new Error(`${path} not found`), { status: 404 });
+    throw error;
+  }
+}
+
+/**
+ * Commit files to a branch in a single commit through the Git Data API. The branch is only
+ * fast-forwarded, so the commit fails if the branch moved since baseSha.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} baseSha - SHA of the commit the files were read from
+ * @param {Array<{path: string, content: string}>} files - Files to commit
+ * @param {string} message - Commit message
+ * @returns {Promise<string>} SHA of the new commit
+ */
+async function commitFiles(owner, repo, branch, baseSha, files, message) {
+  const { data: parent } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: baseSha });
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    base_tree: parent.tree.sha,
+    tree: files.map(({ path, content }) => ({ path, mode: '100644', type: 'blob', content })),
+  });
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message,
+    tree: tree.sha,
+    parents: [baseSha],
+  });
+  await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha });
+  return commit.sha;
+}
+
+/**
+ * Set the release version in the version files. The files are committed to the source branch
+ * in a single commit, or written to the working tree with --local.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} templateContext - Release template variables
+ * @returns {Promise<{files: Array<{path: string, updated: boolean}>, commit: string|null}>}
+ *   Version files, whether they changed, and the SHA of the commit (null when nothing was
+ *   committed)
+ */
+async function bumpVersionFiles(owner, repo, templateContext) {
+  const { version, sourceBranch } = templateContext;
+  const { dryRun, output, local } = program.opts();
+  const message = `chore(release): ${version}`;
+
+  const spinner = startSpinner(
+    `Updating version files ${local ? 'in the working tree' : `on ${sourceBranch}`}...`
+  );
+  try {
+    const root = local ? await getRepositoryRoot() : null;
+    let baseSha = null;
+    if (!local) {
+      const { data: ref } = await octokit.rest.git.getRef({
+        owner,
+        repo,
+        ref: `heads/${sourceBranch}`,
+      });
+      baseSha = ref.object.sha;
+    }
+
+    const changes = [];
+    for (const file of normalizeVersionFiles(settings.versionFiles)) {
+      const before = local
+        ? await readFile(join(root, file.path), 'utf8')
+        : await getFileContent(owner, repo, file.path, baseSha);
+      const content = bumpVersionFile(before, file, templateContext);
+      changes.push({ path: file.path, before, content, updated: content !== before });
+    }
+
+    const files = changes.map(({ path, updated }) => ({ path, updated }));
+    const updated = changes.filter((change) => change.updated);
+    const paths = updated.map(({ path }) => path).join(', ');
+    if (updated.length === 0) {
+      spinner.info(`Version files are already at ${version}`);
+      return { files, commit: null };
+    }
+
+    if (dryRun || output) {
+      spinner.stop();
+      console.log(chalk.cyan(`\nVersion files (${message}):`));
+      for (const { path, before, content } of updated) {
+        console.log(chalk.bold(path));
+        console.log(formatVersionFileChanges(before, content).join('\n'));
+      }
+      return { files, commit: null };
+    }
+
+    if (local) {
+      for (const { path, content } of updated) {
+        await writeFile(join(root, path), content);
+      }
+      spinner.succeed(`Updated ${paths} in the working tree`);
+      return { files, commit: null };
+    }
+
+    const commit = await commitFiles(owner, repo, sourceBranch, baseSha, updated, message);
+    spinner.succeed(`Committed ${paths} to ${sourceBranch}`);
+    return { files, commit };
+  } catch (error) {
+    spinner.fail('Failed to update the version files');
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the content of a file in a repository, or null if it doesn't exist
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {Promise<string|null>} File content
+ */
+async function findFileContent(owner, repo, path, ref) {
+  try {
+    return await getFileContent(owner, repo, path, ref);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Load the packages of a monorepo from the packages setting. With "workspaces", the packages
+ * are the npm, yarn or pnpm workspaces of the source branch, named after their package.json.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch the workspaces are read from
+ * @returns {Promise<Array<Object>>} Packages with name, paths, tag and, for workspaces, the
+ *   version of their package.json
+ */
+async function loadPackages(owner, repo, ref) {
+  if (settings.packages !== WORKSPACES) return normalizePackages(settings.packages);
+
+  const spinner = startSpinner('Discovering workspace packages...');
+  try {
+    const rootManifest = await findFileContent(owner, repo, 'package.json', ref);
+    const patterns = parseWorkspacePatterns(
+      rootManifest && JSON.parse(rootManifest),
+      await findFileContent(owner, repo, 'pnpm-workspace.yaml', ref)
+    );
+
+    const { data: tree } = await octokit.rest.git.getTree({
+      owner,
+      repo,
+      tree_sha: ref,
+      recursive: 'true',
+    });
+    const directories = tree.tree
+      .filter(({ type, path }) => type === 'blob' && /(^|\/)package\.json$/.test(path))
+      .map(({ path }) => path.replace(/\/?package\.json$/, ''))
+      .filter((directory) => directory && !directory.split('/').includes('node_modules'));
+
+    const packages = [];
+    for (const directory of findWorkspaceDirectories(patterns, directories)) {
+      const path = `${directory}/package.json`;
+      let manifest;
+      try {
+        manifest = JSON.parse(await getFileContent(owner, repo, path, ref));
+      } catch (error) {
+        throw new Error(`${path}: ${error.message}`);
+      }
+      // Private packages without a name are left out, like npm does
+      if (!manifest.name) continue;
+      packages.push({
+        name: manifest.name,
+        paths: [directory],
+        tag: true,
+        version: manifest.version || null,
+      });
+    }
+
+    if (packages.length === 0) {
+      throw new Error('No workspace packages found in package.json or pnpm-workspace.yaml');
+    }
+    spinner.succeed(`Found ${packages.length} workspace packages`);
+    return packages;
+  } catch (error) {
+    spinner.fail('Failed to discover the workspace packages');
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Find the package of a --package run
+ * @param {Array<Object>} packages - Packages returned by loadPackages()
+ * @param {string} name - Package name
+ * @returns {Object} Package
+ */
+function findPackage(packages, name) {
+  if (packages.length === 0) {
+    exitWithError(`--package ${name} needs packages: set "packages" in the config file`);
+  }
+  const found = packages.find((item) => item.name === name);
+  if (!found) {
+    exitWithError(
+      `Unknown package "${name}". Expected one of: ${packages.map((item) => item.name).join(', ')}`
+    );
+  }
+  return found;
+}
+
+/**
+ * Fetch the files changed by pull requests, to attribute them to packages
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} pulls - Pull requests
+ * @returns {Promise<Map<number, Array<string>>>} Changed file paths by pull request number
+ */
+async function fetchChangedFiles(owner, repo, pulls) {
+  const spinner = startSpinner('Fetching changed files...');
+  const filesByNumber = new Map();
+  try {
+    for (const [index, pr] of pulls.entries()) {
+      spinner.text = `Fetching changed files (${index + 1}/${pulls.length})...`;
+      const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+        owner,
+        repo,
+        pull_number: pr.number,
+        per_page: 100,
+      });
+      // Renamed files belong to the packages of both paths
+      filesByNumber.set(
+        pr.number,
+        files.flatMap((file) => [file.filename, file.previous_filename].filter(Boolean))
+      );
+    }
+    spinner.succeed(`Fetched the changed files of ${pulls.length} pull requests`);
+    return filesByNumber;
+  } catch (error) {
+    spinner.fail('Failed to fetch the changed files');
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Plan the package releases of a monorepo: attribute the selected pull requests to the
+ * packages whose files they changed, and pick a version for each changed package
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array<Object>} packages - Packages returned by loadPackages()
+ * @param {Array} selectedPRs - Pull requests included in the release
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<{packages: Array<Object>, other: Array}>} Changed packages with the
+ *   previous, suggested and chosen version, the tag (null when untagged) and the pull requests,
+ *   and the pull requests that changed no package
+ */
+async function planPackageReleases(owner, repo, packages, selectedPRs, options) {
+  const filesByNumber = await fetchChangedFiles(owner, repo, selectedPRs);
+  const { byPackage, other } = attributePullRequests(selectedPRs, packages, filesByNumber);
+
+  const releases = [];
+  for (const item of packages) {
+    const pulls = byPackage.get(item.name);
+    if (pulls.length === 0) continue;
+
+    const prefix = getPackageTagPrefix(item.name);
+    const latestTag = await findLatestReleaseTag(octokit, owner, repo, prefix);
+    const previousVersion = latestTag?.version || item.version || null;
+    const suggestion = suggestVersion(previousVersion, pulls, options.preid);
+    console.log(
+      chalk.cyan(`\n${item.name}: ${pulls.map((pr) => `#${pr.number}`).join(', ')}`) +
+        chalk.gray(
+          previousVersion
+            ? ` (${suggestion.bump} bump from ${previousVersion}: ${suggestion.reason})`
+            : ` (${suggestion.reason})`
+        )
+    );
+
+    const { packageVersion } = await prompt([
+      {
+        type: 'input',
+        name: 'packageVersion',
+        message: `Enter the version of ${item.name} (suggested: ${suggestion.version}):`,
+        default: suggestion.version,
+        validate: (input) =>
+          isValidVersion(input) || 'Please enter a valid version number in the format x.y.z',
+      },
+    ]);
+
+    releases.push({
+      name: item.name,
+      previousVersion,
+      suggestedVersion: suggestion.version,
+      version: packageVersion,
+      tag: item.tag ? `${prefix}${packageVersion}` : null,
+      pulls,
+    });
+  }
+
+  if (other.length > 0) {
+    console.log(
+      chalk.gray(`\n${OTHER_CHANGES_HEADING}: ${other.map((pr) => `#${pr.number}`).join(', ')}`)
+    );
+  }
+  return { packages: releases, other };
+}
+
+/**
+ * Send the release notification to the enabled targets
+ * @param {Object} message - Release template variables with the summary and the release PR
+ *   title, number and url
+ * @returns {Promise<Array<Object>>} Target name, type and status ("sent" or "failed", with the
+ *   error) of each target
+ */
+async function sendNotifications(message) {
+  const results = [];
+  for (const target of resolveNotifiers(settings.notifications, settings.notify)) {
+    const spinner = startSpinner(`Notifying ${target.name} (${NOTIFIERS[target.type].name})...`);
+    try {
+      await sendNotification(target, message);
+      spinner.succeed(`Notified ${target.name}`);
+      results.push({ target: target.name, type: target.type, status: 'sent' });
+    } catch (error) {
+      spinner.warn(`Failed to notify ${error.message}`);
+      results.push({
+        target: target.name,
+        type: target.type,
+        status: 'failed',
+        error: error.message,
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Print the notification targets that would be notified in a dry run
+ * @returns {Array<Object>} Target name, type and status ("dry run") of each target
+ */
+function previewNotifications() {
+  const targets = resolveNotifiers(settings.notifications, settings.notify);
+  if (targets.length > 0) {
+    const names = targets.map(({ name, type }) => `${name} (${NOTIFIERS[type].name})`);
+    console.log(chalk.yellow(`Dry run: nothing was sent to ${names.join(', ')}.`));
+  }
+  return targets.map(({ name, type }) => ({ target: name, type, status: 'dry run' }));
+}
+
+/**
+ * Send the release notification of an existing release PR again (--notify-only): the open
+ * release PR, or else the latest merged one. With --release-version, the release PR of that
+ * version.
+ * @param {Object} repository - Repository and branches to notify about
+ * @param {string} repository.owner - Repository owner
+ * @param {string} repository.repo - Repository name
+ * @param {string} repository.sourceBranch - Source branch name
+ * @param {string} repository.targetBranch - Target branch name
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} Notification result for the JSON output
+ */
+async function resendNotifications({ owner, repo, sourceBranch, targetBranch }, options) {
+  const result = {
+    repository: `${owner}/${repo}`,
+    sourceBranch,
+    targetBranch,
+    status: 'skipped',
+    version: null,
+    releasePR: null,
+    notifications: [],
+  };
+
+  const spinner = startSpinner('Finding the release PR...');
+  const titlePattern = getReleaseTitlePattern(settings.titleFormat, settings.tagPrefix);
+  let releasePR;
+  try {
+    const openPR = await findOpenReleasePR(owner, repo, sourceBranch, targetBranch);
+    const isRequestedVersion =
+      !options.releaseVersion ||
+      getReleaseTitleVersion(openPR?.title || '', titlePattern) === options.releaseVersion;
+
+    if (openPR && isRequestedVersion) {
+      releasePR = openPR;
+    } else if (options.releaseVersion) {
+      releasePR = await findLatestMergedReleasePR(
+        octokit,
+        owner,
+        repo,
+        targetBranch,
+        titlePattern,
+        options.releaseVersion
+      );
+    } else {
+      releasePR = await findLatestMergedReleasePR(octokit, owner, repo, targetBranch, titlePattern);
+    }
+  } catch (error) {
+    spinner.fail('Failed to fetch pull requests');
+    exitWithError(error.message);
+  }
+
+  if (!releasePR) {
+    spinner.warn(`No release PR found in ${owner}/${repo}. Skipping...`);
+    return result;
+  }
+  spinner.succeed(`Found release PR #${releasePR.number}: ${releasePR.title}`);
+
+  const version = options.releaseVersion || getReleaseTitleVersion(releasePR.title, titlePattern);
+  if (!version) {
+    exitWithError(`Could not read the version from "${releasePR.title}" (use --release-version)`);
+  }
+
+  const templateContext = buildTemplateContext({
+    owner,
+    repo,
+    sourceBranch,
+    targetBranch,
+    version,
+    previousVersion: null,
+    pulls: [],
+  });
+  Object.assign(result, { version, releasePR: serializePR(releasePR) });
+
+  if (options.dryRun || options.output) {
+    result.notifications = previewNotifications();
+    result.status = 'dry run';
+    return result;
+  }
+
+  result.notifications = await sendNotifications({
+    ...templateContext,
+    // Chat messages would show the markers of manual sections
+    summary: extractReleaseNotes(releasePR.body).replace(/<!--[\s\S]*?-->\n?/g, ''),
+    title: releasePR.title,
+    number: releasePR.number,
+    url: releasePR.html_url,
+  });
+  const failed = result.notifications.some(({ status }) => status === 'failed');
+  result.status = failed ? 'failed' : 'notified';
+  return result;
+}
+
+/**
+ * Find the open release pull request from the source branch to the target branch
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @returns {Promise<Object|null>} Open release PR or null
+ */
+async function findOpenReleasePR(owner, repo, sourceBranch, targetBranch) {
+  try {
+    const { data } = await octokit.rest.pulls.list({
+      owner,
+      repo,
+      state: 'open',
+      head: `${owner}:${sourceBranch}`,
+      base: targetBranch,
+      per_page: 1,
+    });
+    return data[0] || null;
+  } catch (error) {
+    console.log(chalk.yellow(`Could not check for an open release PR: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Report what changed when an open release PR was updated
+ * @param {Object} existingPR - Release PR before the update
+ * @param {string} title - New release PR title
+ * @param {Array} selectedPRs - Pull requests included in the update
+ * @param {Array} pulls - Candidate pull requests
+ */
+function reportReleasePRChanges(existingPR, title, selectedPRs, pulls) {
+  const previousNumbers = extractPRNumbersFromDescription(existingPR.body);
+  const selectedNumbers = new Set(selectedPRs.map((pr) => pr.number));
+  const added = selectedPRs.filter((pr) => !previousNumbers.has(pr.number));
+  const removed = pulls.filter(
+    (pr) => previousNumbers.has(pr.number) && !selectedNumbers.has(pr.number)
+  );
+  const manualSections = extractManualSections(existingPR.body).length;
+
+  console.log(chalk.cyan('\nChanges to the release PR:'));
+  console.log(
+    existingPR.title === title
+      ? `- Title unchanged: ${title}`
+      : `- Title: ${existingPR.title} -> ${title}`
+  );
+  console.log(
+    added.length > 0
+      ? `- Added: ${added.map((pr) => `#${pr.number}`).join(', ')}`
+      : '- No pull requests added'
+  );
+  if (removed.length > 0) {
+    console.log(`- Removed: ${removed.map((pr) => `#${pr.number}`).join(', ')}`);
+  }
+  if (manualSections > 0) {
+    console.log(`- Kept ${manualSections} manually-edited section(s)`);
+  }
+}
+
+/**
+ * Render the release PR that would be created, without calling GitHub
+ * @param {Object} payload - Pull request payload
+ * @param {Object} metadata - Reviewers, labels, assignees and milestone, see getReleasePRMetadata()
+ * @param {string} [outputPath] - File to write the preview to instead of printing it
+ * @param {Object} [existingPR] - Open release PR that would be updated
+ * @returns {Promise<void>}
+ */
+async function previewReleasePR(payload, metadata, outputPath, existingPR = null) {
+  const details = [
+    ['Reviewers', [...metadata.reviewers, ...metadata.teamReviewers].join(', ')],
+    ['Labels', metadata.labels.join(', ')],
+    ['Assignees', metadata.assignees.join(', ')],
+    ['Milestone', metadata.milestone],
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `\n${name}: ${value}`)
+    .join('');
+
+  const preview = `Repository: ${payload.owner}/${payload.repo}${existingPR ? `\nUpdating: #${existingPR.number}` : ''}
+Title: ${payload.title}
+Head: ${payload.head}
+Base: ${payload.base}
+Draft: ${payload.draft}${details}
+
+${payload.body}
+`;
+
+  if (!outputPath) {
+    console.log(chalk.cyan('\nRelease PR preview (dry run):\n'));
+    console.log(preview);
+    return;
+  }
+
+  try {
+    // Previews of later repositories in a multi-repository run are appended
+    if (writtenPreviews.has(outputPath)) {
+      await appendFile(outputPath, `\n${preview}`);
+    } else {
+      await writeFile(outputPath, preview);
+      writtenPreviews.add(outputPath);
+    }
+    console.log(chalk.green(`Release PR preview written to ${outputPath}`));
+  } catch (error) {
+    exitWithError(`Failed to write preview to ${outputPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Create a git tag pointing to a commit, reusing an existing tag on the same commit
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Tag name
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<boolean>} True if the tag was created, false if it already existed
+ */
+async function createReleaseTag(owner, repo, tag, sha) {
+  try {
+    const { data: ref } = await octokit.rest.git.getRef({ owner, repo, ref: `tags/${tag}` });
+    if (ref.object.sha !== sha) {
+      throw new Error(`Tag ${tag} already exists on a different commit (${ref.object.sha})`);
+    }
+    return false;
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  await octokit.rest.git.createRef({ owner, repo, ref: `refs/tags/${tag}`, sha });
+  return true;
+}
+
+/**
+ * Extract the release notes from a release PR body
+ * @param {string} body - Release PR body
+ * @returns {string} Release notes without the "Release Summary" heading and the verification
+ *   checklist
+ */
+function extractReleaseNotes(body) {
+  return removeVerificationChecklist((body || '').replace(/^\s*#\s*Release Summary\s*\n/i, ''));
+}
+
+/**
+ * Parse a repository identifier in the form owner/name
+ * @param {string} value - Repository identifier
+ * @returns {{owner: string, repo: string}} Repository owner and name
+ */
+function parseRepository(value) {
+  const match = value.match(REPOSITORY_PATTERN);
+  if (!match) {
+    exitWithError(`Invalid repository "${value}". Expected format: owner/name`);
+  }
+  return { owner: match[1], repo: match[2] };
+}
+
+/**
+ * Parse a comma-separated list of repositories, ignoring duplicates
+ * @param {string} value - Repositories in owner/name format, e.g. "acme/web,acme/api"
+ * @returns {Array<{owner: string, repo: string}>} Parsed repositories
+ */
+function parseRepositoryList(value) {
+  const names = [
+    ...new Set(
+      value
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (names.length === 0) {
+    exitWithError(`Invalid repository list "${value}". Expected format: owner/name,owner/name`);
+  }
+  return names.map(parseRepository);
+}
+
+/**
+ * Resolve the pull requests selected through the --include flag
+ * @param {string} [include] - "all" or a comma-separated list of PR numbers
+ * @param {Array} pulls - Candidate pull requests
+ * @returns {Array|undefined} Selected pull requests, or undefined if the flag is not set
+ */
+function resolveIncludedPRs(include, pulls) {
+  if (include === undefined) return undefined;
+  if (include === 'all') return pulls;
+
+  const numbers = include.split(',').map((value) => value.trim().replace(/^#/, ''));
+  const invalid = numbers.filter((value) => !/^\d+$/.test(value));
+  if (invalid.length > 0) {
+    exitWithError(`Invalid value for --include: ${invalid.join(', ')}. Use "all" or PR numbers`);
+  }
+
+  const prNumbers = numbers.map((value) => parseInt(value, 10));
+  const missing = prNumbers.filter((number) => !pulls.some((pr) => pr.number === number));
+  if (missing.length > 0) {
+    exitWithError(
+      `Pull requests not found among unreleased pull requests: ${missing.map((n) => `#${n}`).join(', ')}`
+    );
+  }
+
+  return pulls.filter((pr) => prNumbers.includes(pr.number));
+}
+
+/**
+ * Group pull requests with the configured rules, reporting the ones left out of the summary
+ * @param {Array} pulls - List of pull requests
+ * @returns {{summary: string, excluded: Array<{pr: Object, reason: string}>}} Release summary,
+ *   and the pull requests left out of it with the reason
+ */
+function summarizeByRules(pulls) {
+  const result = formatRuleSummary(pulls, settings, githubUrls.webUrl);
+
+  if (result.excluded.length > 0) {
+    console.log(
+      chalk.gray(
+        `Left out of the summary: ${result.excluded.map(({ pr, reason }) => `#${pr.number} (${reason})`).join(', ')}`
+      )
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Detect interactivity and load the settings and GitHub URLs
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} Loaded project configuration
+ */
+async function loadSettings(options) {
+  if (options.json) {
+    enableJsonOutput();
+  }
+
+  // Prompts require a TTY; CI runs must provide everything through flags.
+  // Prompts would mix with the JSON document on stdout, so --json never prompts either.
+  interactive = Boolean(process.stdin.isTTY) && !options.nonInteractive && !options.json;
+  if (interactive) {
+    setupExitHandlers();
+  }
+
+  try {
+    const { config, path } = await loadConfig(options.config);
+    settings = resolveSettings(options, config);
+    githubUrls = getGitHubUrls(settings.githubUrl);
+    if (path) {
+      console.log(chalk.cyan(`Using config from ${path}`));
+    }
+    return config;
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+/**
+ * Detect the repository of the git checkout in the working directory from its origin remote,
+ * unless another repository is chosen with --repos, --repo or --pick-repo
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object|null>} Local repository, see detectLocalRepository(), or null
+ */
+async function detectRepository(options) {
+  if (options.pickRepo || options.repos) return null;
+
+  const local = await detectLocalRepository();
+  if (!local) return null;
+
+  const { hostname } = new URL(githubUrls.webUrl);
+  const isSameHost = local.host === hostname.toLowerCase();
+
+  if (options.repo) {
+    const { owner, repo } = parseRepository(options.repo);
+    const isSameRepo =
+      `${owner}/${repo}`.toLowerCase() === `${local.owner}/${local.repo}`.toLowerCase();
+    return isSameHost && isSameRepo ? local : null;
+  }
+
+  if (!isSameHost) {
+    console.log(
+      chalk.yellow(
+        `The ${local.remote} remote points to ${local.host}, not ${hostname}. Use --github-url ${local.host} to release ${local.owner}/${local.repo}`
+      )
+    );
+    return null;
+  }
+  return local;
+}
+
+/**
+ * Suggest the branches of the local repository: the checked out branch as the source and the
+ * default branch of the remote as the target
+ * @param {Object} local - Local repository, see detectLocalRepository()
+ * @returns {Promise<{sourceBranch?: string, targetBranch?: string}>} Detected branch settings
+ */
+async function detectBranches(local) {
+  let { defaultBranch } = local;
+
+  // Clones record the default branch; other checkouts may not, so ask GitHub
+  if (!defaultBranch) {
+    try {
+      const { data } = await octokit.rest.repos.get({ owner: local.owner, repo: local.repo });
+      defaultBranch = data.default_branch;
+    } catch (error) {
+      console.log(
+        chalk.yellow(
+          `Could not get the default branch of ${local.owner}/${local.repo}: ${error.message}`
+        )
+      );
+    }
+  }
+
+  // The default branch isn't released into itself, so keep the configured source branch then
+  return {
+    sourceBranch: local.branch && local.branch !== defaultBranch ? local.branch : undefined,
+    targetBranch: defaultBranch || undefined,
+  };
+}
+
+/**
+ * Use the repository of the git checkout, telling the user how to choose another one
+ * @returns {{owner: string, repo: string}} Repository owner and name
+ */
+function useLocalRepository() {
+  const { owner, repo, remote } = localRepository;
+  console.log(
+    chalk.cyan(
+      `Using ${owner}/${repo} from the ${remote} remote (use --pick-repo to choose another repository)`
+    )
+  );
+  return { owner, repo };
+}
+
+/**
+ * Prepare a command run: detect interactivity, load settings and initialize the GitHub client
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<void>}
+ */
+async function setup(options) {
+  const config = await loadSettings(options);
+  localRepository = await detectRepository(options);
+
+  try {
+    const root = await getRepositoryRoot();
+    templates = {
+      prompt: settings.promptTemplate
+        ? await loadTemplate(settings.promptTemplate, root)
+        : DEFAULT_PROMPT_TEMPLATE,
+      body: settings.bodyTemplate
+        ? await loadTemplate(settings.bodyTemplate, root)
+        : DEFAULT_BODY_TEMPLATE,
+    };
+  } catch (error) {
+    exitWithError(error.message);
+  }
+
+  if (!STRATEGIES.includes(settings.strategy)) {
+    exitWithError(
+      `Invalid strategy "${settings.strategy}". Expected one of: ${STRATEGIES.join(', ')}`
+    );
+  }
+
+  if (!CONTEXT_LEVELS.includes(settings.context)) {
+    exitWithError(
+      `Invalid context level "${settings.context}". Expected one of: ${CONTEXT_LEVELS.join(', ')}`
+    );
+  }
+
+  if (options.since && settings.strategy === 'compare') {
+    exitWithError('--since is not supported with the compare strategy');
+  }
+
+  if (!(Number(settings.tokenBudget) > 0)) {
+    exitWithError(`Invalid token budget "${settings.tokenBudget}". Expected a positive number`);
+  }
+
+  const categoriesError = validateCategories(settings.categories, settings.exclude);
+  if (categoriesError) {
+    exitWithError(`Invalid categorization rules: ${categoriesError}`);
+  }
+
+  for (const [key, { type }] of Object.entries(SETTINGS)) {
+    if (type === 'boolean' && typeof settings[key] !== 'boolean') {
+      exitWithError(`Invalid ${key} setting "${settings[key]}". Expected true or false`);
+    }
+    if (type === 'list' && !Array.isArray(settings[key])) {
+      exitWithError(`Invalid ${key} setting. Expected a list or a comma-separated string`);
+    }
+  }
+
+  try {
+    normalizeVersionFiles(settings.versionFiles);
+  } catch (error) {
+    exitWithError(`Invalid versionFiles setting: ${error.message}`);
+  }
+
+  if (settings.packages !== WORKSPACES) {
+    try {
+      normalizePackages(settings.packages);
+    } catch (error) {
+      exitWithError(`Invalid packages setting: ${error.message}`);
+    }
+  }
+
+  if (!PROVIDERS[settings.provider]) {
+    exitWithError(
+      `Invalid provider "${settings.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  // Fail fast before any API calls when the repository cannot be prompted for
+  if (!interactive && !options.repo && !options.repos && !localRepository) {
+    exitWithError(
+      'Missing required input in non-interactive mode: repository (use --repo or --repos, or run inside a git checkout)'
+    );
+  }
+
+  // Initialize GitHub token
+  const githubToken = await initializeGitHubToken();
+
+  // Initialize clients with tokens
+  octokit = createGitHubClient({
+    auth: githubToken,
+    baseUrl: githubUrls.apiUrl,
+    cache: options.cache !== false,
+    onRateLimit: (status) =>
+      setSpinnerNotice(
+        status
+          ? chalk.yellow(
+              `(${status.remaining}/${status.limit} GitHub API requests left until ${status.reset.toLocaleTimeString()})`
+            )
+          : ''
+      ),
+    onWait: (message) => setSpinnerNotice(chalk.yellow(`(${message})`)),
+  });
+
+  await checkTokenScopes();
+
+  if (localRepository) {
+    settings = resolveSettings(options, config, await detectBranches(localRepository));
+  }
+
+  // Package releases are tagged with the package name, e.g. @acme/web@1.3.0. This comes after
+  // the settings are resolved for the last time, which would reset them.
+  if (settings.package) {
+    settings.tagPrefix = getPackageTagPrefix(settings.package);
+    if (settings.titleFormat === SETTINGS.titleFormat.default) {
+      settings.titleFormat = PACKAGE_TITLE_FORMAT;
+    }
+  }
+}
+
+/**
+ * Select the repository from the --repo flag, the git checkout or interactively
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<{owner: string, repo: string}>} Repository owner and name
+ */
+async function selectRepository(options) {
+  if (options.repo) {
+    return parseRepository(options.repo);
+  }
+  if (localRepository) {
+    return useLocalRepository();
+  }
+
+  const repoChoices = await getRepositoryChoices();
+
+  // Add option for manual entry
+  repoChoices.push({ name: '-- Enter repository manually --', value: 'manual' });
+
+  const { repoSelection } = await prompt([
+    {
+      type: 'list',
+      name: 'repoSelection',
+      message: 'Select a repository:',
+      choices: repoChoices,
+      pageSize: 5,
+    },
+  ]);
+
+  // Handle manual repository entry
+  if (repoSelection === 'manual') {
+    return prompt([
+      {
+        type: 'input',
+        name: 'owner',
+        message: 'Enter repository owner:',
+        validate: (input) => input.length > 0,
+      },
+      {
+        type: 'input',
+        name: 'repo',
+        message: 'Enter repository name:',
+        validate: (input) => input.length > 0,
+      },
+    ]);
+  }
+
+  return repoSelection;
+}
+
+/**
+ * Get the repositories the user has contributed to as prompt choices
+ * @returns {Promise<Array>} Repository choices
+ */
+async function getRepositoryChoices() {
+  // Fetch repositories the user has contributed to
+  const userRepos = await fetchUserRepositories();
+
+  return userRepos.map((repo) => ({
+    name: repo.fullName + (repo.isPersonal ? ' (personal)' : ''),
+    value: { owner: repo.owner, repo: repo.repoName },
+  }));
+}
 
-  // Fetch repositories the user has contributed to
-  const userRepos = await fetchUserRepositories();
+/**
+ * Select one or more repositories to release from --repos, --repo, the git checkout or an
+ * interactive picker
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Array<{owner: string, repo: string}>>} Selected repositories
+ */
+async function selectRepositories(options) {
+  if (options.repos) {
+    if (options.repo) exitWithError('Use either --repo or --repos, not both');
+    return parseRepositoryList(options.repos);
+  }
+  if (options.repo) {
+    return [parseRepository(options.repo)];
+  }
+  if (localRepository) {
+    return [useLocalRepository()];
+  }
 
-  // Prepare repository choices
-  const repoChoices =
-    userRepos.length > 0
-      ? userRepos.map((repo) => ({
-          name: repo.fullName + (repo.isPersonal ? ' (personal)' : ''),
-          value: { owner: repo.owner, repo: repo.repoName },
-        }))
-      : [];
+  const repoChoices = await getRepositoryChoices();
 
   // Add option for manual entry
-  repoChoices.push({ name: '-- Enter repository manually --', value: 'manual' });
+  repoChoices.push({ name: '-- Enter repositories manually --', value: 'manual' });
 
-  let repoInfo = { owner: '', repo: '' };
-  const { repoSelection } = await inquirer.prompt([
+  const { repoSelection } = await prompt([
     {
-      type: 'list',
+      type: 'checkbox',
       name: 'repoSelection',
-      message: 'Select a repository:',
+      message: 'Select the repositories to release:',
       choices: repoChoices,
-      pageSize: 5,
+      pageSize: 10,
+      validate: (input) => input.length > 0 || 'Select at least one repository',
     },
   ]);
 
+  const repositories = repoSelection.filter((selection) => selection !== 'manual');
+
   // Handle manual repository entry
-  if (repoSelection === 'manual') {
-    const manualEntry = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'owner',
-        message: 'Enter repository owner:',
-        validate: (input) => input.length > 0,
-      },
+  if (repoSelection.includes('manual')) {
+    const { manualRepos } = await prompt([
       {
         type: 'input',
-        name: 'repo',
-        message: 'Enter repository name:',
-        validate: (input) => input.length > 0,
+        name: 'manualRepos',
+        message: 'Enter repositories (owner/name, comma-separated):',
+        validate: (input) =>
+          input.split(',').every((value) => REPOSITORY_PATTERN.test(value.trim())) ||
+          'Expected format: owner/name, e.g. acme/web,acme/api',
       },
     ]);
-    repoInfo = manualEntry;
-  } else {
-    repoInfo = repoSelection;
+    repositories.push(...parseRepositoryList(manualRepos));
   }
 
-  const { owner, repo } = repoInfo;
+  return repositories;
+}
 
-  const { sourceBranch, targetBranch } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'sourceBranch',
-      message: 'Enter source branch name:',
-      default: 'staging',
-      validate: (input) => input.length > 0,
-    },
-    {
-      type: 'input',
-      name: 'targetBranch',
-      message: 'Enter target branch name:',
-      default: 'main',
-      validate: (input) => input.length > 0,
+/**
+ * Prepare and create the release PR of one repository
+ * @param {Object} release - Release information
+ * @param {string} release.owner - Repository owner
+ * @param {string} release.repo - Repository name
+ * @param {string} release.sourceBranch - Source branch name
+ * @param {string} release.targetBranch - Target branch name
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} shared - Answers reused for the next repositories, e.g. the summary type
+ * @returns {Promise<Object>} Release result: the plan (previous release, candidate, selected
+ *   and excluded pull requests, version and summary), the status and the release PR
+ */
+async function releaseRepository({ owner, repo, sourceBranch, targetBranch }, options, shared) {
+  const isDryRun = Boolean(options.dryRun || options.output);
+
+  // Packages are only loaded when configured, as workspaces are discovered through the API
+  const packages =
+    settings.packages.length > 0 ? await loadPackages(owner, repo, sourceBranch) : [];
+  const releasedPackage = settings.package ? findPackage(packages, settings.package) : null;
+
+  const previousRelease = await detectPreviousRelease(owner, repo, targetBranch, options.since);
+  // Unreleased workspace packages continue from the version of their package.json
+  const latestVersion = previousRelease.version || releasedPackage?.version || null;
+
+  const unreleased = await findUnreleasedPullRequests(
+    owner,
+    repo,
+    sourceBranch,
+    targetBranch,
+    previousRelease
+  );
+  let { pulls } = unreleased;
+  const excluded = [...unreleased.excluded];
+  if (releasedPackage && pulls.length > 0) {
+    // A --package run only releases the pull requests that changed the package
+    const filesByNumber = await fetchChangedFiles(owner, repo, pulls);
+    const { byPackage } = attributePullRequests(pulls, [releasedPackage], filesByNumber);
+    const packagePulls = byPackage.get(releasedPackage.name);
+    excluded.push(
+      ...pulls
+        .filter((pr) => !packagePulls.includes(pr))
+        .map((pr) => ({ pr, reason: `outside ${releasedPackage.name}` }))
+    );
+    pulls = packagePulls;
+  }
+
+  const result = {
+    repository: `${owner}/${repo}`,
+    sourceBranch,
+    targetBranch,
+    status: 'skipped',
+    previousRelease: {
+      version: latestVersion,
+      tag: previousRelease.tag,
+      source: previousRelease.source,
+      date: previousRelease.date,
+      pullRequest: previousRelease.pullRequest && serializePR(previousRelease.pullRequest),
     },
-  ]);
+    openReleasePR: null,
+    candidates: pulls.map(serializePR),
+    selected: [],
+    excluded: excluded.map(({ pr, reason }) => ({ ...serializePR(pr), reason })),
+    suggestedVersion: null,
+    version: null,
+    summaryType: null,
+    summary: null,
+    packages: [],
+    versionFiles: null,
+    releasePR: null,
+    notifications: [],
+  };
+
+  if (pulls.length === 0) {
+    const scope = releasedPackage ? `${releasedPackage.name} in ` : '';
+    console.log(
+      chalk.yellow(`No unreleased pull requests in ${scope}${owner}/${repo}. Skipping...`)
+    );
+    return result;
+  }
 
-  // Get the latest release version for the repository
-  let suggestedVersion = '1.0.0';
-  try {
-    const { data: releases } = await octokit.rest.repos.listReleases({
-      owner,
-      repo,
-      per_page: 100,
-    });
+  // Keep one rolling release PR: an open PR for the same branches is updated instead
+  const existingPR = await findOpenReleasePR(owner, repo, sourceBranch, targetBranch);
+  if (existingPR) {
+    result.openReleasePR = serializePR(existingPR);
+    console.log(
+      chalk.cyan(`\nFound open release PR #${existingPR.number}: ${existingPR.title}`),
+      chalk.gray(existingPR.html_url)
+    );
+
+    const { updateExisting } = await prompt([
+      {
+        type: 'confirm',
+        name: 'updateExisting',
+        message: `Would you like to update release PR #${existingPR.number}?`,
+        default: true,
+      },
+    ]);
 
-    if (releases && releases.length > 0) {
-      // Extract version from tag_name (removing any 'v' prefix)
-      const latestTag = releases[0].tag_name.replace(/^v/, '');
-      const [major, minor, patch] = latestTag.split('.');
-      suggestedVersion = `${major}.${minor}.${parseInt(patch) + 1}`;
+    if (!updateExisting) {
+      console.log(
+        chalk.yellow('GitHub allows only one open pull request per branch pair. Skipping...')
+      );
+      return result;
     }
-  } catch (error) {
-    console.log(chalk.yellow(`Could not fetch latest release version: ${error.message}`));
   }
 
-  const pulls = await fetchPullRequests(owner, repo, sourceBranch);
+  const { selectedPRs } = await prompt(
+    [
+      {
+        type: 'checkbox',
+        name: 'selectedPRs',
+        message: 'Select pull requests to include in the release:',
+        choices: pulls.map((pr) => ({
+          name: `#${pr.number} - ${pr.title}`,
+          value: pr,
+          // Newly merged pull requests are added to the release PR by default
+          checked: Boolean(existingPR),
+        })),
+        validate: (input) => input.length > 0 || 'Select at least one pull request',
+      },
+    ],
+    { selectedPRs: resolveIncludedPRs(options.include, pulls) }
+  );
 
-  const { selectedPRs } = await inquirer.prompt([
-    {
-      type: 'checkbox',
-      name: 'selectedPRs',
-      message: 'Select pull requests to include in the release:',
-      choices: pulls.map((pr) => ({
-        name: `#${pr.number} - ${pr.title}`,
-        value: pr,
-      })),
-      validate: (input) => input.length > 0,
-    },
-  ]);
+  result.selected = selectedPRs.map(serializePR);
+  result.excluded.push(
+    ...pulls
+      .filter((pr) => !selectedPRs.includes(pr))
+      .map((pr) => ({ ...serializePR(pr), reason: 'not selected' }))
+  );
 
-  const { summaryType } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'summaryType',
-      message: 'How would you like to summarize the pull requests?',
-      choices: [
-        { name: 'Use AI to generate a summary', value: 'ai' },
-        { name: 'Simply list the selected pull requests', value: 'list' },
-      ],
-    },
-  ]);
+  const suggestion = suggestVersion(latestVersion, selectedPRs, options.preid);
+  const suggestedVersion = suggestion.version;
+  console.log(
+    chalk.cyan(`\nSuggested version: ${suggestedVersion}`) +
+      chalk.gray(
+        latestVersion
+          ? ` (${suggestion.bump} bump from ${latestVersion}: ${suggestion.reason})`
+          : ` (${suggestion.reason})`
+      )
+  );
 
-  let summary;
-  if (summaryType === 'ai') {
-    summary = await generateSummary(selectedPRs);
-  } else {
-    summary = selectedPRs
-      .map((pr) => {
-        const date = new Date(pr.created_at).toLocaleDateString();
-        return `#${pr.number} - ${pr.title} (by [@${pr.user.login}](https://github.com/${pr.user.login}) on ${date})`;
-      })
-      .join('\n');
+  const { version } = await prompt(
+    [
+      {
+        type: 'input',
+        name: 'version',
+        message: `Enter the version number for this release (suggested: ${suggestedVersion}):`,
+        default: suggestedVersion,
+        validate: (input) => {
+          // Validate semantic versioning format (x.y.z with optional pre-release and build metadata)
+          if (!isValidVersion(input)) {
+            return 'Please enter a valid version number in the format x.y.z (e.g., 1.2.3 or 1.3.0-beta.0)';
+          }
+          return true;
+        },
+      },
+    ],
+    { version: options.releaseVersion }
+  );
+
+  const templateContext = buildTemplateContext({
+    owner,
+    repo,
+    sourceBranch,
+    targetBranch,
+    version,
+    previousVersion: latestVersion,
+    pulls: selectedPRs,
+  });
+
+  let plan = null;
+  if (releasedPackage) {
+    templateContext.package = serializePackage({
+      name: releasedPackage.name,
+      previousVersion: latestVersion,
+      suggestedVersion,
+      version,
+      tag: templateContext.tag,
+      pulls: selectedPRs,
+    });
+    result.packages = [templateContext.package];
+  } else if (packages.length > 0) {
+    plan = await planPackageReleases(owner, repo, packages, selectedPRs, options);
+    result.packages = plan.packages.map(serializePackage);
+    templateContext.packages = result.packages;
   }
 
+  const { summaryType } = await prompt(
+    [
+      {
+        type: 'list',
+        name: 'summaryType',
+        message: 'How would you like to summarize the pull requests?',
+        choices: [
+          { name: 'Use AI to generate a summary', value: 'ai' },
+          { name: 'Simply list the selected pull requests', value: 'list' },
+          { name: 'Group the pull requests by rules (offline)', value: 'rules' },
+        ],
+      },
+    ],
+    { summaryType: options.summary || shared.summaryType }
+  );
+  shared.summaryType = summaryType;
+
+  if (summaryType === 'ai' && !llm) await initializeProvider(options);
+  const summarize = createSummarizer({ owner, repo, selectedPRs, templateContext, plan });
+  const initial = await summarize(summaryType);
+  let { summary } = initial;
+  result.excluded.push(
+    ...(initial.excluded || []).map(({ pr, reason }) => ({
+      ...serializePR(pr),
+      reason: `left out of the summary (${reason})`,
+    }))
+  );
+
   console.log(chalk.cyan('\nSummary:'));
   console.log(summary);
 
-  const { version, confirm } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'version',
-      message: `Enter the version number for this release (suggested: ${suggestedVersion}):`,
-      default: suggestedVersion,
-      validate: (input) => {
-        // Validate semantic versioning format (x.y.z)
-        const semverRegex = /^\d+\.\d+\.\d+$/;
-        if (!semverRegex.test(input)) {
-          return 'Please enter a valid version number in the format x.y.z (e.g., 1.2.3)';
-        }
-        return true;
+  // The review loop only makes sense when someone is there to answer it
+  if (interactive && !options.yes) {
+    summary = await reviewSummary(
+      {
+        summary,
+        label:
+          summaryType === 'ai'
+            ? `AI (${llm.model})`
+            : { list: 'List', rules: 'Rules' }[summaryType],
+        summarize,
       },
-    },
-    {
-      type: 'confirm',
-      name: 'confirm',
-      message: 'Would you like to create a release PR with this summary?',
-    },
-  ]);
+      options
+    );
+  }
+
+  Object.assign(result, {
+    status: 'cancelled',
+    suggestedVersion,
+    version,
+    summaryType,
+    summary,
+  });
+
+  const { confirm } = await prompt(
+    [
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: existingPR
+          ? `Would you like to update release PR #${existingPR.number} with this summary?`
+          : 'Would you like to create a release PR with this summary?',
+      },
+    ],
+    // Nothing is written to GitHub in a dry run, so there is nothing to confirm
+    { confirm: options.yes || isDryRun || undefined }
+  );
 
   if (confirm) {
-    const pr = await createReleasePR(
+    if (settings.versionFiles.length > 0) {
+      result.versionFiles = await bumpVersionFiles(owner, repo, templateContext);
+    }
+    if (settings.changelog) {
+      await updateChangelog(owner, repo, summary, selectedPRs, templateContext);
+    }
+
+    const { payload, metadata, pr } = await createReleasePR(
       owner,
       repo,
       summary,
       selectedPRs,
       sourceBranch,
       targetBranch,
+      version,
+      templateContext,
+      existingPR
+    );
+    if (existingPR) {
+      reportReleasePRChanges(
+        existingPR,
+        formatReleaseTitle(version, templateContext),
+        selectedPRs,
+        pulls
+      );
+    }
+    const { title, head, base, draft, body } = payload;
+    result.releasePR = {
+      number: pr?.number || null,
+      url: pr?.html_url || null,
+      title,
+      head,
+      base,
+      draft,
+      body,
+      ...metadata,
+    };
+
+    if (pr) {
+      console.log(
+        chalk.green(`\nSuccess! Release PR ${existingPR ? 'updated' : 'created'}:`),
+        pr.html_url
+      );
+      result.status = existingPR ? 'updated' : 'created';
+
+      result.notifications = await sendNotifications({
+        ...templateContext,
+        summary,
+        title,
+        number: pr.number,
+        url: pr.html_url,
+      });
+    } else {
+      console.log(
+        chalk.yellow(`Dry run: no release PR was ${existingPR ? 'updated' : 'created'}.`)
+      );
+      result.status = 'dry run';
+      result.notifications = previewNotifications();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Describe a package release for templates and JSON output
+ * @param {Object} release - Package release returned by planPackageReleases()
+ * @returns {Object} Package name, versions, tag and pull request numbers
+ */
+function serializePackage({ name, previousVersion, suggestedVersion, version, tag, pulls }) {
+  return {
+    name,
+    previousVersion,
+    suggestedVersion,
+    version,
+    tag,
+    pulls: pulls.map((pr) => pr.number),
+  };
+}
+
+/**
+ * Print the results of a multi-repository run: a table of the release PRs and a release note
+ * combining the summaries of all repositories
+ * @param {Array<Object>} results - Release results returned by releaseRepository()
+ */
+function printReleaseReport(results) {
+  const rows = [
+    ['Repository', 'Version', 'PRs', 'Release PR'],
+    ...results.map(({ repository, version, selected, status, releasePR }) => [
+      repository,
+      version || '-',
+      selected.length > 0 ? String(selected.length) : '-',
+      releasePR?.url || status,
+    ]),
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+
+  console.log(chalk.cyan('\nRelease PRs:'));
+  console.log(chalk.bold(formatRow(rows[0])));
+  rows.slice(1).forEach((row) => console.log(formatRow(row)));
+
+  const released = results.filter(({ summary }) => summary);
+  if (released.length > 0) {
+    const note = released
+      .map(({ repository, version, summary }) => `## ${repository} ${version}\n\n${summary}`)
+      .join('\n\n');
+
+    console.log(chalk.cyan('\nCombined release note:\n'));
+    console.log(`# Release Summary\n\n${note}`);
+  }
+}
+
+async function run() {
+  // Get command line options
+  const options = program.opts();
+
+  await setup(options);
+
+  // Webhook URLs may come from the environment, so they are checked before anything is created
+  let notifiers;
+  try {
+    notifiers = resolveNotifiers(settings.notifications, settings.notify);
+  } catch (error) {
+    exitWithError(`Invalid notification settings: ${error.message}`);
+  }
+  if (options.notifyOnly && notifiers.length === 0) {
+    exitWithError(
+      '--notify-only needs a notification target (configure "notifications" or use --notify)'
+    );
+  }
+
+  const repositories = await selectRepositories(options);
+  const writesFiles = settings.changelog || settings.versionFiles.length > 0;
+  if (options.local && writesFiles && repositories.length > 1) {
+    exitWithError('--local supports a single repository');
+  }
+  // Pull request numbers differ between repositories
+  if (repositories.length > 1 && options.include !== undefined && options.include !== 'all') {
+    exitWithError('Use --include all with several repositories');
+  }
+
+  const { sourceBranch, targetBranch } = await prompt(
+    [
+      {
+        type: 'input',
+        name: 'sourceBranch',
+        message: 'Enter source branch name:',
+        default: settings.sourceBranch,
+        validate: (input) => input.length > 0,
+      },
+      {
+        type: 'input',
+        name: 'targetBranch',
+        message: 'Enter target branch name:',
+        default: settings.targetBranch,
+        validate: (input) => input.length > 0,
+      },
+    ],
+    { sourceBranch: options.source, targetBranch: options.target }
+  );
+
+  const shared = {};
+  const results = [];
+  for (const { owner, repo } of repositories) {
+    if (repositories.length > 1) {
+      console.log(chalk.bold.cyan(`\n=== ${owner}/${repo} ===`));
+    }
+    const repository = { owner, repo, sourceBranch, targetBranch };
+    results.push(
+      options.notifyOnly
+        ? await resendNotifications(repository, options)
+        : await releaseRepository(repository, options, shared)
+    );
+  }
+
+  if (repositories.length > 1 && !options.notifyOnly) {
+    printReleaseReport(results);
+  }
+
+  if (jsonOutput) {
+    printJson({ dryRun: Boolean(options.dryRun || options.output), releases: results });
+  }
+
+  if (options.notifyOnly && results.some(({ status }) => status === 'failed')) {
+    exitWithError('Some notifications could not be sent');
+  }
+}
+
+/**
+ * Save a token to the encrypted credential store
+ * @param {string} service - Service key
+ * @param {Object} options - Auth command options
+ * @returns {Promise<void>}
+ */
+async function authSet(service, options) {
+  await loadSettings(options);
+  if (!interactive) {
+    exitWithError('auth set requires an interactive terminal');
+  }
+
+  const { name, createUrl } = getTokenServices()[service];
+  console.log(chalk.cyan(`Create a new token at: ${createUrl}`));
+  await storeToken(service, await promptToken(name));
+}
+
+/**
+ * Show the stored tokens, masked, with their source
+ * @param {string} [service] - Service key, or all services if not set
+ * @param {Object} options - Auth command options
+ * @returns {Promise<void>}
+ */
+async function authShow(service, options) {
+  await loadSettings(options);
+
+  const services = getTokenServices();
+  if ((await hasCredentialStore()) && !(await getPassphrase())) {
+    console.log(
+      chalk.yellow('Set CREATE_APP_RELEASE_PASSPHRASE to include the encrypted credential store')
+    );
+  }
+
+  for (const key of service ? [service] : Object.keys(services)) {
+    let found;
+    try {
+      found = await findToken(key);
+    } catch (error) {
+      exitWithError(error.message);
+    }
+
+    console.log(
+      found
+        ? `${services[key].name}: ${maskToken(found.token)} ${chalk.gray(`(${found.source})`)}`
+        : `${services[key].name}: ${chalk.gray('not set')}`
+    );
+  }
+}
+
+/**
+ * Verify the GitHub token by fetching the authenticated user and its scopes
+ * @param {Object} options - Auth command options
+ * @returns {Promise<void>}
+ */
+async function authVerify(options) {
+  await loadSettings(options);
+
+  let found;
+  try {
+    found = await findToken('github');
+  } catch (error) {
+    exitWithError(error.message);
+  }
+  if (!found) {
+    exitWithError('No GitHub token found. Run "create-app-release auth set github".');
+  }
+
+  const spinner = startSpinner(`Verifying GitHub token from ${found.source}...`);
+  try {
+    const client = createGitHubClient({ auth: found.token, baseUrl: githubUrls.apiUrl });
+    const { data: user, headers } = await client.rest.users.getAuthenticated();
+    spinner.succeed(`Authenticated as ${user.login} on ${githubUrls.webUrl}`);
+
+    const scopes = getTokenScopes(headers);
+    if (scopes === null) {
+      console.log(chalk.gray('Fine-grained token: check its repository permissions on GitHub'));
+    } else if (!scopes.includes('repo')) {
+      console.log(
+        chalk.yellow(
+          `Missing the 'repo' scope (scopes: ${scopes.join(', ') || 'none'}). ` +
+            'Private repositories will return 404 Not Found.'
+        )
+      );
+    } else {
+      console.log(chalk.green(`Scopes: ${scopes.join(', ')}`));
+    }
+  } catch (error) {
+    spinner.fail('GitHub token verification failed');
+    exitWithError(error.message);
+  }
+}
+
+/**
+ * Remove a token from the encrypted credential store and the plain-text git config
+ * @param {string} service - Service key
+ * @param {Object} options - Auth command options
+ * @returns {Promise<void>}
+ */
+async function authRemove(service, options) {
+  await loadSettings(options);
+
+  const { name, gitKey } = getTokenServices()[service];
+  const removed = [];
+
+  if (await hasCredentialStore()) {
+    const secret = await getPassphrase();
+    if (!secret) {
+      exitWithError('Set CREATE_APP_RELEASE_PASSPHRASE to remove stored tokens');
+    }
+
+    try {
+      const { [service]: token, ...tokens } = await readCredentialStore(secret);
+      if (token) {
+        await writeCredentialStore(tokens, secret);
+        removed.push('encrypted credential store');
+      }
+    } catch (error) {
+      exitWithError(error.message);
+    }
+  }
+
+  if (await unsetGitConfigValue(gitKey)) {
+    removed.push(`git config ${gitKey}`);
+  }
+
+  console.log(
+    removed.length > 0
+      ? chalk.green(`Removed ${name} token from ${removed.join(' and ')}`)
+      : chalk.yellow(`No stored ${name} token found`)
+  );
+}
+
+/**
+ * Tag the merge commit of a merged release PR and publish a GitHub Release
+ * @param {string} version - Release version
+ * @param {Object} options - Publish command options
+ * @returns {Promise<void>}
+ */
+async function publish(version, options) {
+  await setup(options);
+
+  const { owner, repo } = await selectRepository(options);
+
+  const { targetBranch } = await prompt(
+    [
+      {
+        type: 'input',
+        name: 'targetBranch',
+        message: 'Enter target branch name:',
+        default: settings.targetBranch,
+        validate: (input) => input.length > 0,
+      },
+    ],
+    { targetBranch: options.target }
+  );
+
+  const spinner = startSpinner(`Finding merged release PR for version ${version}...`);
+  let releasePR;
+  try {
+    releasePR = await findLatestMergedReleasePR(
+      octokit,
+      owner,
+      repo,
+      targetBranch,
+      getReleaseTitlePattern(settings.titleFormat, settings.tagPrefix),
       version
     );
-    console.log(chalk.green('\nSuccess! Release PR created:'), pr.html_url);
+  } catch (error) {
+    spinner.fail('Failed to fetch pull requests');
+    exitWithError(error.message);
+  }
+
+  if (!releasePR) {
+    spinner.fail(`No merged release PR found for version ${version} into ${targetBranch}`);
+    process.exit(1);
+  }
+  spinner.succeed(`Found release PR #${releasePR.number}: ${releasePR.title}`);
+
+  const tag = `${settings.tagPrefix}${version}`;
+  const packageTags = await findPackageTags(owner, repo, releasePR);
+  const notes = extractReleaseNotes(releasePR.body);
+  const generateNotes = Boolean(options.generateNotes) || !notes;
+
+  const release = {
+    owner,
+    repo,
+    tag_name: tag,
+    target_commitish: releasePR.merge_commit_sha,
+    name: tag,
+    draft: Boolean(options.draft),
+    prerelease: Boolean(options.prerelease),
+    ...(generateNotes ? { generate_release_notes: true } : { body: notes }),
+  };
+
+  if (options.dryRun) {
+    console.log(chalk.cyan('\nGitHub Release preview (dry run):\n'));
+    console.log(`Repository: ${owner}/${repo}
+Tag: ${tag} -> ${releasePR.merge_commit_sha}
+Draft: ${release.draft}
+Prerelease: ${release.prerelease}
+${packageTags.length > 0 ? `Package tags: ${packageTags.join(', ')}\n` : ''}${generateNotes ? '\nRelease notes will be generated by GitHub' : `\n${notes}`}
+`);
+    console.log(chalk.yellow('Dry run: no tag or release was created.'));
+    return;
+  }
+
+  const { confirm } = await prompt(
+    [
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Create tag ${tag} and publish the GitHub Release?`,
+      },
+    ],
+    { confirm: options.yes }
+  );
+
+  if (!confirm) return;
+
+  const releaseSpinner = startSpinner(`Creating tag ${tag}...`);
+  try {
+    const created = await createReleaseTag(owner, repo, tag, releasePR.merge_commit_sha);
+    releaseSpinner.succeed(
+      created ? `Tag ${tag} created` : `Tag ${tag} already exists on the release commit`
+    );
+
+    for (const packageTag of packageTags) {
+      releaseSpinner.start(`Creating tag ${packageTag}...`);
+      const packageCreated = await createReleaseTag(
+        owner,
+        repo,
+        packageTag,
+        releasePR.merge_commit_sha
+      );
+      releaseSpinner.succeed(
+        packageCreated
+          ? `Tag ${packageTag} created`
+          : `Tag ${packageTag} already exists on the release commit`
+      );
+    }
+
+    releaseSpinner.start('Creating GitHub Release...');
+
+    const { data } = await octokit.rest.repos.createRelease(release);
+    releaseSpinner.succeed(`GitHub Release ${tag} created successfully`);
+    console.log(chalk.green('\nSuccess! Release published:'), data.html_url);
+  } catch (error) {
+    releaseSpinner.fail('Failed to publish release');
+    exitWithError(error.message);
   }
 }
 
 const description = `AI-powered GitHub release automation tool
 
 Options:
-  --openai-key <key>        Set OpenAI API key directly (alternative to env/git config)
-  --openai-model <model>    Set OpenAI model to use (default: "gpt-4")
-                           Examples: gpt-4, gpt-3.5-turbo
+  --openai-key <key>        Set OpenAI API key directly (alternative to env/stored token)
+  --openai-model <model>    Set OpenAI model to use (default: "gpt-4o")
+                           Examples: gpt-4o, gpt-3.5-turbo
   --openai-base-url <url>   Set custom OpenAI API base URL
                            Example: https://custom-openai-endpoint.com/v1
+  --provider <provider>     LLM provider: openai, anthropic, azure or ollama (default: "openai")
+  --model <model>           Model used by the LLM provider
+                           (defaults: gpt-4o, claude-3-5-sonnet-latest, llama3.1)
+  --context <level>         Pull request context sent to the AI (default: "minimal")
+                           minimal: number, title, author, date and URL
+                           standard: adds descriptions and labels
+                           full: adds linked issues, changed files and additions/deletions
+  --token-budget <tokens>   Maximum estimated tokens of pull request details per prompt
+                           (default: 12000); larger releases are summarized in parts
+  --azure-endpoint <url>    Azure OpenAI endpoint, e.g. https://my-resource.openai.azure.com
+  --azure-deployment <name> Azure OpenAI deployment name
+  --azure-api-version <ver> Azure OpenAI API version
+  --config <path>           Use a specific config file
+  --template <file>         Prompt template file for AI summaries
+  --body-template <file>    Release PR body template file
+  --title-format <format>   Release PR title template (default: "Release: Version {{version}}")
+                           Template variables: {{version}}, {{prs}}, {{summary}},
+                           {{contributors}}, {{compareUrl}}, ...
+  --github-url <url>        GitHub Enterprise Server URL or API URL
+                           Example: https://github.example.com/api/v3
+  --changelog [path]        Add the release notes to a Keep a Changelog file
+                           (default: CHANGELOG.md), committed to the source branch
+  --version-files <list>    Files to set the release version in, committed to the source
+                           branch as "chore(release): <version>", e.g. package.json,version.txt
+  --local                   Write the changelog and version files to the working tree instead
+                           of committing them
+  --package <name>          Release one package of a monorepo: only its pull requests, tagged
+                           <name>@<version> (packages are set in the config file)
+  --notify <targets>        Post the release notes to these notification targets, e.g.
+                           slack,teams (default: the enabled targets of "notifications")
+  --no-notify               Don't send notifications
+  --notify-only             Send the notifications of the open or latest merged release PR
+                           again, without creating or updating anything
+  --no-draft                Create the release PR ready for review instead of as a draft
+  --reviewers <list>        Request reviews from users and teams, e.g. alice,acme/qa
+  --author-reviewers        Request reviews from the authors of the included pull requests
+  --author-checklist        Add a checklist asking the authors to verify their changes
+  --labels <list>           Labels to add to the release PR, e.g. release
+  --assignees <list>        Users to assign to the release PR (@me assigns you)
+  --milestone [title]       Add the release PR to a milestone, created if needed
+                           (default title: "{{version}}")
+  --no-cache                Bypass the on-disk cache of GitHub API responses
+  --pick-repo               Pick the repository from your most active repositories instead
+                           of using the git checkout in the working directory
+
+Commands:
+  init [--force]            Write a starter .create-app-release.json to the repository root
+  auth set|show|verify|remove [service]
+                           Manage tokens in the encrypted credential store
+  publish <version>         Tag the merged release PR and publish a GitHub Release
+                           Options: --draft, --prerelease, --generate-notes, --package,
+                           --dry-run
+
+Non-interactive Options:
+  --repo <owner/name>       Repository to release (default: the git checkout)
+  --repos <list>            Release several repositories in one run
+                           Example: --repos acme/web,acme/api
+  --source <branch>         Source branch (default: config, the checked out branch or "staging")
+  --target <branch>         Target branch (default: config, the remote's default branch or "main")
+  --include <prs>           Pull requests to include: "all" or comma-separated numbers
+                           Example: --include 12,15,18
+  --summary <type>          Summary type: "ai", "list" or "rules" (offline grouping)
+  --strategy <strategy>     How to find unreleased pull requests (default: "date")
+                           date: PRs merged into the source branch since the previous
+                           release (GitHub Release, version tag or merged release PR)
+                           compare: PRs of the commits in target...source
+  --since <tag|sha|date>    With the date strategy, list PRs merged since a tag, commit or
+                           date (YYYY-MM-DD) instead of the previous release
+  --release-version <ver>   Release version (default: suggested from latest release)
+  --preid <identifier>      Suggest a prerelease version, e.g. --preid beta -> 1.3.0-beta.0
+  -y, --yes                 Create the release PR without asking for confirmation
+  --dry-run                 Preview the release PR without creating anything on GitHub
+  --output <file>           Write the dry-run preview to a file (implies --dry-run)
+  --non-interactive         Never prompt; fail when a required input is missing
+                           (enabled automatically when there is no TTY)
+  --json                    Print the release plan and result as JSON to stdout; progress
+                           goes to stderr without colors or spinners (implies --non-interactive)
 
 Environment Variables:
   GITHUB_TOKEN              GitHub personal access token
+  GITHUB_API_URL            GitHub API URL (if not using --github-url)
+  GITHUB_SERVER_URL, GH_HOST
+                           GitHub host, e.g. when running in GitHub Actions on GHES
   OPENAI_API_KEY            OpenAI API key (if not using --openai-key)
-
-Git Config:
-  github.token              GitHub token in git config
-  openai.token              OpenAI token in git config (if not using --openai-key)
+  OPENAI_MODEL              OpenAI model (if not using --openai-model)
+  OPENAI_BASE_URL           OpenAI API base URL (if not using --openai-base-url)
+  LLM_PROVIDER, LLM_MODEL   LLM provider and model (if not using --provider/--model)
+  ANTHROPIC_API_KEY         Anthropic API key
+  ANTHROPIC_BASE_URL        Anthropic API base URL
+  AZURE_OPENAI_API_KEY      Azure OpenAI API key
+  AZURE_OPENAI_ENDPOINT     Azure OpenAI endpoint (if not using --azure-endpoint)
+  AZURE_OPENAI_DEPLOYMENT   Azure OpenAI deployment (if not using --azure-deployment)
+  OPENAI_API_VERSION        Azure OpenAI API version (if not using --azure-api-version)
+  OLLAMA_HOST               Ollama server URL (default: http://localhost:11434)
+  CREATE_APP_RELEASE_SOURCE Default source branch
+  CREATE_APP_RELEASE_TARGET Default target branch
+  CREATE_APP_RELEASE_TITLE_FORMAT
+                           Release PR title format (default: "Release: Version {{version}}")
+  CREATE_APP_RELEASE_STRATEGY
+                           Strategy for finding unreleased pull requests
+  CREATE_APP_RELEASE_TAG_PREFIX
+                           Prefix of release tags (default: "v")
+  CREATE_APP_RELEASE_PASSPHRASE
+                           Passphrase of the encrypted credential store
+  CREATE_APP_RELEASE_CHANGELOG
+                           Changelog file to update (if not using --changelog)
+  CREATE_APP_RELEASE_VERSION_FILES
+                           Version files to update (if not using --version-files)
+  CREATE_APP_RELEASE_NOTIFY Notification targets (if not using --notify)
+  CREATE_APP_RELEASE_PACKAGE
+                           Package of a monorepo to release (if not using --package)
+  SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL, DISCORD_WEBHOOK_URL, CREATE_APP_RELEASE_WEBHOOK_URL
+                           Webhook URLs of notification targets without a "url"
+
+Config File:
+  Settings are read from .create-app-release.json, .create-app-releaserc or the
+  "createAppRelease" key in package.json in the repository root.
+  Precedence: CLI flag > environment variable > config file > default
+
+Credentials:
+  Tokens are read from, in order: environment variables, the encrypted credential store
+  (create-app-release auth set <service>), the gh CLI and git credential helpers (GitHub),
+  and the git config keys github.token, openai.token, anthropic.token and azure.token
+  used by earlier versions.
 `;
 
 program
   .name('create-app-release')
   .description(description)
   .version(pkg.version)
+  .enablePositionalOptions()
   .option('--openai-base-url <url>', 'Set custom OpenAI API base URL')
-  .option('--openai-model <model>', 'Set OpenAI model to use (default: "gpt-4")')
-  .option('--openai-key <key>', 'Set OpenAI API key directly (alternative to env/git config)')
-  .action(run)
-  .parse(process.argv);
+  .option('--openai-model <model>', 'Set OpenAI model to use (default: "gpt-4o")')
+  .option('--openai-key <key>', 'Set OpenAI API key directly (alternative to env/stored token)')
+  .addOption(
+    new Option('--provider <provider>', 'LLM provider used for AI summaries').choices(
+      Object.keys(PROVIDERS)
+    )
+  )
+  .option('--model <model>', 'Model used by the LLM provider')
+  .addOption(
+    new Option('--context <level>', 'How much pull request context to send to the AI').choices(
+      CONTEXT_LEVELS
+    )
+  )
+  .option('--token-budget <tokens>', 'Maximum estimated tokens of pull request details per prompt')
+  .option('--azure-endpoint <url>', 'Azure OpenAI endpoint')
+  .option('--azure-deployment <name>', 'Azure OpenAI deployment name')
+  .option('--azure-api-version <version>', 'Azure OpenAI API version')
+  .option('--repo <owner/name>', 'Repository to release')
+  .option('--repos <list>', 'Repositories to release, comma-separated (owner/name,owner/name)')
+  .option('--pick-repo', 'Pick the repository instead of using the git checkout')
+  .option('--source <branch>', 'Source branch name')
+  .option('--target <branch>', 'Target branch name')
+  .option('--include <prs>', 'Pull requests to include: "all" or comma-separated PR numbers')
+  .addOption(
+    new Option('--summary <type>', 'How to summarize the pull requests').choices(SUMMARY_TYPES)
+  )
+  .addOption(
+    new Option('--strategy <strategy>', 'How to find unreleased pull requests').choices(STRATEGIES)
+  )
+  .option('--since <tag|sha|date>', 'List pull requests merged since a tag, commit or date')
+  .option('--release-version <version>', 'Version number for this release')
+  .option('--preid <identifier>', 'Prerelease identifier for the suggested version, e.g. "beta"')
+  .option('-y, --yes', 'Create the release PR without asking for confirmation')
+  .option('--dry-run', 'Preview the release PR without creating anything on GitHub')
+  .option('--output <file>', 'Write the dry-run preview to a file (implies --dry-run)')
+  .option('--non-interactive', 'Never prompt; fail when a required input is missing')
+  .option('--json', 'Print the release plan and result as JSON (implies --non-interactive)')
+  .option('--config <path>', 'Use a specific config file')
+  .option('--github-url <url>', 'GitHub Enterprise Server URL or API URL')
+  .option('--template <file>', 'Prompt template file for AI summaries')
+  .option('--body-template <file>', 'Release PR body template file')
+  .option('--title-format <format>', 'Release PR title template')
+  .option('--no-cache', 'Bypass the on-disk cache of GitHub API responses')
+  .option('--changelog [path]', 'Add the release notes to a Keep a Changelog file')
+  .option('--version-files <list>', 'Files to set the release version in, comma-separated')
+  .option(
+    '--local',
+    'Write the changelog and version files to the working tree instead of committing them'
+  )
+  .option('--package <name>', 'Release one package of a monorepo')
+  .option('--notify <targets>', 'Notification targets to post the release notes to')
+  .option('--no-notify', "Don't send notifications")
+  .option('--notify-only', 'Send the notifications of the existing release PR again')
+  .option('--draft', 'Create the release PR as a draft (default)')
+  .option('--no-draft', 'Create the release PR ready for review')
+  .option('--reviewers <list>', 'Request reviews from users and org/team teams, comma-separated')
+  .option('--author-reviewers', 'Request reviews from the authors of the included pull requests')
+  .option(
+    '--author-checklist',
+    'Ask the authors of the included pull requests to verify their changes in a checklist'
+  )
+  .option('--labels <list>', 'Labels to add to the release PR, comma-separated')
+  .option('--assignees <list>', 'Users to assign to the release PR, comma-separated (@me for you)')
+  .option('--milestone [title]', 'Add the release PR to a milestone, created if needed')
+  .action(run);
+
+program
+  .command('publish')
+  .description('Tag the merged release PR for a version and publish a GitHub Release')
+  .argument('<version>', 'Version of the merged release PR')
+  .option('--repo <owner/name>', 'Repository to publish')
+  .option('--pick-repo', 'Pick the repository instead of using the git checkout')
+  .option('--target <branch>', 'Target branch the release PR was merged into')
+  .option('--draft', 'Create the GitHub Release as a draft')
+  .option('--prerelease', 'Mark the GitHub Release as a prerelease')
+  .option('--generate-notes', "Use GitHub's generated release notes instead of the PR summary")
+  .option('--package <name>', 'Publish one package of a monorepo, tagged <name>@<version>')
+  .option('-y, --yes', 'Publish without asking for confirmation')
+  .option('--dry-run', 'Preview the tag and release without creating them')
+  .option('--non-interactive', 'Never prompt; fail when a required input is missing')
+  .option('--config <path>', 'Use a specific config file')
+  .option('--github-url <url>', 'GitHub Enterprise Server URL or API URL')
+  .option('--title-format <format>', 'Release PR title template')
+  .action(publish);
+
+// Services whose tokens can be managed with the auth command
+const tokenServices = Object.keys(getTokenServices());
+
+const auth = program
+  .command('auth')
+  .description('Manage stored API tokens')
+  .enablePositionalOptions();
+
+auth
+  .command('set')
+  .description('Save a token to the encrypted credential store')
+  .addArgument(new Argument('<service>', 'Service of the token').choices(tokenServices))
+  .option('--github-url <url>', 'GitHub Enterprise Server URL or API URL')
+  .action(authSet);
+
+auth
+  .command('show')
+  .description('Show the configured tokens, masked, and where they come from')
+  .addArgument(new Argument('[service]', 'Service of the token').choices(tokenServices))
+  .option('--github-url <url>', 'GitHub Enterprise Server URL or API URL')
+  .option('--non-interactive', 'Never prompt for the passphrase')
+  .action(authShow);
+
+auth
+  .command('verify')
+  .description('Verify the GitHub token and its scopes')
+  .option('--github-url <url>', 'GitHub Enterprise Server URL or API URL')
+  .option('--non-interactive', 'Never prompt for the passphrase')
+  .action(authVerify);
+
+auth
+  .command('remove')
+  .description('Remove a token from the credential store and git config')
+  .addArgument(new Argument('<service>', 'Service of the token').choices(tokenServices))
+  .action(authRemove);
+
+program
+  .command('init')
+  .description('Write a starter .create-app-release.json to the repository root')
+  .option('--force', 'Overwrite an existing config file')
+  .action(init);
+
+/**
+ * Run the CLI. Nothing runs when the module is imported, so its functions can be tested.
+ * @param {Array<string>} [argv] - Command-line arguments, including the node and script paths
+ * @returns {Promise<void>}
+ */
+export async function main(argv = process.argv) {
+  // Load environment variables
+  config();
+
+  await program.parseAsync(argv);
+}
@@ -0,0 +1,286 @@
+import { renderTemplate } from './templates.js';
+
+// Time allowed for a notification request
+const NOTIFY_TIMEOUT = 10000;
+
+// Message size limits of the chat services
+const SLACK_TEXT_LIMIT = 40000;
+const TEAMS_TEXT_LIMIT = 20000;
+const DISCORD_TITLE_LIMIT = 256;
+const DISCORD_DESCRIPTION_LIMIT = 4096;
+
+/**
+ * Supported notification target types
+ * - name: Display name
+ * - urlEnv: Environment variable holding the webhook URL when the target has no url
+ */
+export const NOTIFIERS = {
+  slack: { name: 'Slack', urlEnv: 'SLACK_WEBHOOK_URL' },
+  teams: { name: 'Microsoft Teams', urlEnv: 'TEAMS_WEBHOOK_URL' },
+  discord: { name: 'Discord', urlEnv: 'DISCORD_WEBHOOK_URL' },
+  webhook: { name: 'Webhook', urlEnv: 'CREATE_APP_RELEASE_WEBHOOK_URL' },
+};
+
+/**
+ * Error raised when a notification can't be sent. Webhook URLs are secrets, so they are
+ * never part of the message.
+ */
+export class NotifierError extends Error {
+  /**
+   * @param {string} target - Target name
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code
+   */
+  constructor(target, message, { status } = {}) {
+    super(`${target}: ${message}`);
+    this.name = 'NotifierError';
+    this.target = target;
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve the notification targets to send to
+ * @param {Object} notifications - Targets by name, from the "notifications" setting: type
+ *   (defaults to the name), url or urlEnv, enabled, and for webhooks headers and template
+ * @param {Array<string>|string|boolean} [notify] - Names of the targets to send to, e.g. from
+ *   --notify; false sends to none; by default, the targets that aren't disabled
+ * @param {Object} [env] - Environment variables holding webhook URLs
+ * @returns {Array<Object>} Targets with name, type, url, headers and template
+ */
+export function resolveNotifiers(notifications = {}, notify, env = process.env) {
+  if (notifications === null || typeof notifications !== 'object' || Array.isArray(notifications)) {
+    throw new Error('"notifications" must map target names to their settings');
+  }
+
+  let names;
+  if (notify === false) {
+    names = [];
+  } else if (notify === undefined || notify === true) {
+    names = Object.keys(notifications).filter((name) => notifications[name]?.enabled !== false);
+  } else {
+    names = (typeof notify === 'string' ? notify.split(',') : notify)
+      .map((name) => String(name).trim())
+      .filter(Boolean);
+  }
+
+  return names.map((name) => {
+    // Built-in types can be used by name without settings, with the URL from the environment
+    const target = notifications[name] ?? (NOTIFIERS[name] ? {} : null);
+    if (target === null || typeof target !== 'object') {
+      throw new Error(
+        `Unknown notification target "${name}". Configure it in "notifications" or use one of: ${Object.keys(NOTIFIERS).join(', ')}`
+      );
+    }
+
+    const type = target.type || name;
+    const notifier = NOTIFIERS[type];
+    if (!notifier) {
+      throw new Error(
+        `${name}: unknown type "${type}". Expected one of: ${Object.keys(NOTIFIERS).join(', ')}`
+      );
+    }
+    if (target.template !== undefined && type !== 'webhook') {
+      throw new Error(`${name}: only webhook targets have a payload template`);
+    }
+
+    const urlEnv = target.urlEnv || notifier.urlEnv;
+    const url = target.url || env[urlEnv];
+    if (!url) {
+      throw new Error(`${name}: missing webhook URL. Set "url" or ${urlEnv}`);
+    }
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(`${name}: invalid webhook URL`);
+    }
+
+    return { name, type, url, headers: target.headers || {}, template: target.template };
+  });
+}
+
+/**
+ * Shorten a text to a maximum length
+ * @param {string} text - Text
+ * @param {number} limit - Maximum length
+ * @returns {string} Text, ending with an ellipsis when it was shortened
+ */
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Convert inline Markdown to Slack mrkdwn: links, bold, italic and strikethrough
+ * @param {string} text - Markdown text
+ * @returns {string} Slack mrkdwn text
+ */
+function formatSlackInline(text) {
+  return (
+    text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<$2|$1>')
+      // Bold is marked while italic is converted, as both use asterisks
+      .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, stars, underscores) => {
+        return `\u0000${stars ?? underscores}\u0000`;
+      })
+      .replace(/(^|[^\w*])\*(?!\s)([^*]+?)\*(?!\w)/g, '$1_$2_')
+      .replaceAll('\u0000', '*')
+      .replace(/~~(.+?)~~/g, '~$1~')
+  );
+}
+
+/**
+ * Convert Markdown to Slack mrkdwn. Headings become bold lines and list items bullets.
+ * @param {string} markdown - Markdown text, e.g. a release summary
+ * @returns {string} Slack mrkdwn text
+ */
+export function toSlackMrkdwn(markdown) {
+  return markdown
+    .split('\n')
+    .map((line) => {
+      const heading = /^[ \t]*#{1,6}[ \t]+(.*?)[ \t#]*$/.exec(line);
+      if (heading) {
+        return `*${formatSlackInline(heading[1].replace(/\*\*|__/g, ''))}*`;
+      }
+      return formatSlackInline(line.replace(/^(\s*)[-*+]\s+/, '$1• '));
+    })
+    .join('\n');
+}
+
+/**
+ * Convert Markdown to the Markdown subset of Teams cards, which has no headings
+ * @param {string} markdown - Markdown text
+ * @returns {string} Teams card text
+ */
+function toTeamsMarkdown(markdown) {
+  return markdown.replace(/^[ \t]*#{1,6}[ \t]+(.*?)[ \t#]*$/gm, (match, heading) => {
+    return `**${heading.replace(/\*\*|__/g, '')}**`;
+  });
+}
+
+/**
+ * Render a webhook payload template. Strings are rendered as templates; a string that is a
+ * single variable, e.g. "{{prs}}", is replaced by its value, keeping lists and numbers.
+ * @param {*} template - Payload template: an object, list or string
+ * @param {Object} message - Template variables
+ * @returns {*} Payload
+ */
+function renderPayload(template, message) {
+  if (typeof template === 'string') {
+    const variable = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+    if (variable) {
+      const value = variable[1]
+        .split('.')
+        .reduce((scope, key) => (scope == null ? undefined : scope[key]), message);
+      return value === undefined ? null : value;
+    }
+    return renderTemplate(template, message);
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => renderPayload(item, message));
+  }
+  if (template !== null && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, renderPayload(value, message)])
+    );
+  }
+  return template;
+}
+
+/**
+ * Format the release notification for a target
+ * @param {Object} target - Target returned by resolveNotifiers()
+ * @param {Object} message - Release template variables with the release PR: repository,
+ *   version, tag, summary, title, number and url among others
+ * @returns {Object} Request payload
+ */
+export function formatNotification(target, message) {
+  const { repository, version, summary, title, number, url } = message;
+  const headline = `${repository} ${version}`;
+
+  switch (target.type) {
+    case 'slack':
+      return {
+        text: truncate(
+          `*<${url}|${formatSlackInline(headline)}>*: release PR #${number}\n\n${toSlackMrkdwn(summary)}`,
+          SLACK_TEXT_LIMIT
+        ),
+      };
+
+    case 'teams':
+      return {
+        type: 'message',
+        attachments: [
+          {
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: {
+              $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+              type: 'AdaptiveCard',
+              version: '1.4',
+              body: [
+                { type: 'TextBlock', text: headline, weight: 'Bolder', size: 'Medium', wrap: true },
+                {
+                  type: 'TextBlock',
+                  text: truncate(toTeamsMarkdown(summary), TEAMS_TEXT_LIMIT),
+                  wrap: true,
+                },
+              ],
+              actions: [{ type: 'Action.OpenUrl', title: `View release PR #${number}`, url }],
+            },
+          },
+        ],
+      };
+
+    case 'discord':
+      return {
+        embeds: [
+          {
+            title: truncate(headline, DISCORD_TITLE_LIMIT),
+            url,
+            description: truncate(summary, DISCORD_DESCRIPTION_LIMIT),
+          },
+        ],
+      };
+
+    case 'webhook':
+      return target.template === undefined
+        ? { repository, version, tag: message.tag, title, number, url, summary }
+        : renderPayload(target.template, message);
+  }
+}
+
+/**
+ * Send the release notification to a target
+ * @param {Object} target - Target returned by resolveNotifiers()
+ * @param {Object} message - Release template variables, see formatNotification()
+ * @returns {Promise<void>}
+ */
+export async function sendNotification(target, message) {
+  let response;
+  try {
+    response = await fetch(target.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...target.headers },
+      body: JSON.stringify(formatNotification(target, message)),
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT),
+    });
+  } catch (error) {
+    throw new NotifierError(
+      target.name,
+      `Request failed: ${error.cause?.message || error.message}`
+    );
+  }
+
+  if (!response.ok) {
+    const text = (await response.text()).trim();
+    throw new NotifierError(
+      target.name,
+      `${response.status} ${truncate(text, 200) || response.statusText}`,
+      { status: response.status }
+    );
+  }
+}
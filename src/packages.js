@@ -0,0 +1,199 @@
+import { escapeRegExp } from './pulls.js';
+
+// Value of the "packages" setting that discovers the packages from npm or pnpm workspaces
+export const WORKSPACES = 'workspaces';
+
+// Heading of the section listing the pull requests that changed no package
+export const OTHER_CHANGES_HEADING = 'Other changes';
+
+// Version of a package section heading, e.g. "## @acme/web 1.3.0"
+const SECTION_VERSION_PATTERN = '(\\d+\\.\\d+\\.\\d+[\\w.+-]*)';
+
+/**
+ * Normalize the packages setting: a list of packages with a name and a path or list of paths
+ * (globs, e.g. "packages/web" or "apps/*"), and whether its releases are tagged
+ * (`"tag": false` turns tags off). Paths alone are named after their last directory.
+ * @param {Array<string|Object>} packages - Packages setting
+ * @returns {Array<{name: string, paths: Array<string>, tag: boolean}>} Packages
+ */
+export function normalizePackages(packages) {
+  if (!Array.isArray(packages)) {
+    throw new Error(`"packages" must be a list of packages or "${WORKSPACES}"`);
+  }
+
+  const result = packages.map((entry) => {
+    const definition = typeof entry === 'string' ? { path: entry } : entry || {};
+    const paths = [].concat(definition.paths ?? definition.path ?? []).map((path) =>
+      // Paths are relative to the repository root
+      String(path)
+        .trim()
+        .replace(/^\.?\/+|\/+$/g, '')
+    );
+    if (paths.length === 0 || paths.some((path) => !path)) {
+      throw new Error(`Packages need a path, got ${JSON.stringify(entry)}`);
+    }
+
+    const name = definition.name || paths[0].split('/').pop();
+    return { name: String(name), paths, tag: definition.tag !== false };
+  });
+
+  const names = result.map(({ name }) => name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Package "${duplicate}" is defined more than once`);
+  }
+  return result;
+}
+
+/**
+ * Convert a path glob to a regular expression source. "*" matches within a directory, "**"
+ * across directories.
+ * @param {string} glob - Path glob, e.g. "packages/*"
+ * @returns {string} Regular expression source
+ */
+function globToSource(glob) {
+  return glob
+    .split(/(\*\*\/?|\*|\?)/)
+    .map((part) => {
+      if (part === '**' || part === '**/') return '(?:.*/)?';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return escapeRegExp(part);
+    })
+    .join('');
+}
+
+/**
+ * Convert a path glob to a regular expression matching the path and the files under it
+ * @param {string} glob - Path glob, e.g. "packages/*"
+ * @returns {RegExp} Pattern
+ */
+export function globToRegExp(glob) {
+  return new RegExp(`^${globToSource(glob)}(?:/|$)`);
+}
+
+/**
+ * Find the packages that a list of changed files belongs to
+ * @param {Array<string>} files - Changed file paths
+ * @param {Array<Object>} packages - Packages returned by normalizePackages()
+ * @returns {Array<string>} Names of the changed packages
+ */
+export function matchPackages(files, packages) {
+  return packages
+    .filter(({ paths }) => {
+      const patterns = paths.map(globToRegExp);
+      return files.some((file) => patterns.some((pattern) => pattern.test(file)));
+    })
+    .map(({ name }) => name);
+}
+
+/**
+ * Attribute pull requests to the packages whose files they changed. A pull request that
+ * changed several packages is part of each of them.
+ * @param {Array<Object>} pulls - Pull requests
+ * @param {Array<Object>} packages - Packages returned by normalizePackages()
+ * @param {Map<number, Array<string>>} filesByNumber - Changed files by pull request number
+ * @returns {{byPackage: Map<string, Array<Object>>, other: Array<Object>}} Pull requests by
+ *   package name, in the order of the packages, and the pull requests that changed no package
+ */
+export function attributePullRequests(pulls, packages, filesByNumber) {
+  const byPackage = new Map(packages.map(({ name }) => [name, []]));
+  const other = [];
+
+  for (const pr of pulls) {
+    const names = matchPackages(filesByNumber.get(pr.number) || [], packages);
+    if (names.length === 0) other.push(pr);
+    names.forEach((name) => byPackage.get(name).push(pr));
+  }
+  return { byPackage, other };
+}
+
+/**
+ * Get the workspace globs of a repository
+ * @param {Object|null} packageJson - Root package.json, for npm and yarn workspaces
+ * @param {string|null} pnpmWorkspace - Content of pnpm-workspace.yaml
+ * @returns {Array<string>} Workspace globs; globs starting with "!" exclude directories
+ */
+export function parseWorkspacePatterns(packageJson, pnpmWorkspace) {
+  const workspaces = packageJson?.workspaces;
+  const patterns = Array.isArray(workspaces) ? [...workspaces] : [...(workspaces?.packages || [])];
+
+  // The packages list of pnpm-workspace.yaml, without a YAML parser
+  let inPackages = false;
+  for (const line of (pnpmWorkspace || '').split('\n')) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true;
+    } else if (inPackages && /^\s*-\s+/.test(line)) {
+      patterns.push(
+        line
+          .replace(/^\s*-\s+/, '')
+          .replace(/\s+#.*$/, '')
+          .trim()
+          .replace(/^(['"])(.*)\1$/, '$2')
+      );
+    } else if (inPackages && /^\S/.test(line)) {
+      inPackages = false;
+    }
+  }
+
+  return patterns.map((pattern) => pattern.replace(/^(!?)\.?\/+/, '$1').replace(/\/+$/, ''));
+}
+
+/**
+ * Find the workspace directories among the directories holding a package.json
+ * @param {Array<string>} patterns - Workspace globs returned by parseWorkspacePatterns()
+ * @param {Array<string>} directories - Directories holding a package.json
+ * @returns {Array<string>} Workspace directories
+ */
+export function findWorkspaceDirectories(patterns, directories) {
+  const toPattern = (glob) => new RegExp(`^${globToSource(glob)}$`);
+  const included = patterns.filter((glob) => !glob.startsWith('!')).map(toPattern);
+  const excluded = patterns
+    .filter((glob) => glob.startsWith('!'))
+    .map((glob) => toPattern(glob.slice(1)));
+
+  const matches = (directory) => (pattern) => pattern.test(directory);
+  return directories.filter(
+    (directory) => included.some(matches(directory)) && !excluded.some(matches(directory))
+  );
+}
+
+/**
+ * Get the prefix of the release tags of a package, e.g. "@acme/web@" for @acme/web@1.3.0
+ * @param {string} name - Package name
+ * @returns {string} Tag prefix
+ */
+export function getPackageTagPrefix(name) {
+  return `${name}@`;
+}
+
+/**
+ * Combine the summaries of the packages into release notes with a section per package
+ * @param {Array<{name: string, version: string, summary: string}>} sections - Package
+ *   summaries; a section without a version holds the other changes
+ * @returns {string} Release notes
+ */
+export function formatPackageSections(sections) {
+  return sections
+    .map(({ name, version, summary }) =>
+      version ? `## ${name} ${version}\n\n${summary}` : `## ${name}\n\n${summary}`
+    )
+    .join('\n\n');
+}
+
+/**
+ * Read the package versions from the package sections of release notes
+ * @param {string} notes - Release notes, e.g. the body of a merged release PR
+ * @param {Array<Object>} packages - Packages returned by normalizePackages()
+ * @returns {Array<{name: string, version: string}>} Released packages
+ */
+export function parsePackageSections(notes, packages) {
+  return packages.flatMap(({ name }) => {
+    const pattern = new RegExp(
+      `^##\\s+${escapeRegExp(name)}\\s+${SECTION_VERSION_PATTERN}\\s*$`,
+      'm'
+    );
+    const match = pattern.exec(notes || '');
+    return match ? [{ name, version: match[1] }] : [];
+  });
+}
@@ -0,0 +1,256 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+
+// Version of the Anthropic Messages API
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Maximum number of tokens generated by providers that require a limit
+const MAX_TOKENS = 4096;
+
+/**
+ * Supported LLM providers
+ * - name: Display name
+ * - token: Token configuration passed to configureToken(), or null if no token is needed
+ * - defaultModel: Model used when none is configured
+ */
+export const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    token: {
+      envKey: 'OPENAI_API_KEY',
+      gitKey: 'openai.token',
+      createUrl: 'https://platform.openai.com/api-keys',
+    },
+    defaultModel: 'gpt-4o',
+  },
+  anthropic: {
+    name: 'Anthropic',
+    token: {
+      envKey: 'ANTHROPIC_API_KEY',
+      gitKey: 'anthropic.token',
+      createUrl: 'https://console.anthropic.com/settings/keys',
+    },
+    defaultModel: 'claude-3-5-sonnet-latest',
+  },
+  azure: {
+    name: 'Azure OpenAI',
+    token: {
+      envKey: 'AZURE_OPENAI_API_KEY',
+      gitKey: 'azure.token',
+      createUrl:
+        'https://portal.azure.com/#view/Microsoft_Azure_ProjectOxford/CognitiveServicesHub',
+    },
+    defaultModel: null,
+  },
+  ollama: {
+    name: 'Ollama',
+    token: null,
+    defaultModel: 'llama3.1',
+  },
+};
+
+/**
+ * Error raised by LLM providers, normalized across APIs
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} provider - Provider display name
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code
+   */
+  constructor(provider, message, { status } = {}) {
+    super(`${provider}: ${message}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+/**
+ * Create an error for a response that doesn't contain the generated text
+ * @param {string} provider - Provider display name
+ * @param {string} expected - Expected response path
+ * @returns {ProviderError} Normalized error
+ */
+function invalidResponseError(provider, expected) {
+  return new ProviderError(provider, `Invalid API response structure. Expected ${expected}`);
+}
+
+/**
+ * Send a JSON POST request and parse the JSON response
+ * @param {string} provider - Provider display name
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postJSON(provider, url, headers, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new ProviderError(
+      provider,
+      `Request to ${url} failed: ${error.cause?.message || error.message}`
+    );
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    // Handled below, error responses are not always JSON
+  }
+
+  if (!response.ok) {
+    const message = data?.error?.message || data?.error || text || response.statusText;
+    throw new ProviderError(provider, `${response.status} ${message}`, { status: response.status });
+  }
+
+  if (data === null) {
+    throw invalidResponseError(provider, 'a JSON body');
+  }
+
+  return data;
+}
+
+/**
+ * Create a completion function backed by an OpenAI SDK client
+ * @param {string} provider - Provider display name
+ * @param {OpenAI} client - OpenAI or Azure OpenAI client
+ * @param {string} model - Model or deployment name
+ * @returns {Function} Completion function
+ */
+function createChatCompletion(provider, client, model) {
+  return async (prompt, { temperature }) => {
+    let response;
+    try {
+      response = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+      });
+    } catch (error) {
+      throw new ProviderError(provider, error.message, { status: error.status });
+    }
+
+    // Validate response structure
+    const content = response?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw invalidResponseError(provider, 'response.choices[0].message.content');
+    }
+    return content;
+  };
+}
+
+/**
+ * Create an LLM provider
+ * @param {string} provider - Provider key (openai, anthropic, azure or ollama)
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiKey] - API key
+ * @param {string} [options.model] - Model name (deployment name for Azure OpenAI)
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {string} [options.apiVersion] - API version (Azure OpenAI)
+ * @returns {{name: string, model: string, complete: Function}} Provider with a
+ *   complete(prompt, { temperature }) function resolving to the generated text
+ */
+export function createProvider(provider, { apiKey, model, baseUrl, apiVersion } = {}) {
+  const definition = PROVIDERS[provider];
+  if (!definition) {
+    throw new Error(
+      `Unknown provider "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  const { name } = definition;
+  const resolvedModel = model || definition.defaultModel;
+
+  switch (provider) {
+    case 'openai': {
+      const client = new OpenAI({ apiKey, baseURL: baseUrl });
+      return {
+        name,
+        model: resolvedModel,
+        complete: createChatCompletion(name, client, resolvedModel),
+      };
+    }
+
+    case 'azure': {
+      if (!baseUrl || !resolvedModel) {
+        throw new Error('Azure OpenAI requires an endpoint and a deployment name');
+      }
+      const client = new AzureOpenAI({
+        apiKey,
+        endpoint: baseUrl,
+        deployment: resolvedModel,
+        apiVersion,
+      });
+      return {
+        name,
+        model: resolvedModel,
+        complete: createChatCompletion(name, client, resolvedModel),
+      };
+    }
+
+    case 'anthropic': {
+      const url = `${(baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '')}/v1/messages`;
+      return {
+        name,
+        model: resolvedModel,
+        complete: async (prompt, { temperature }) => {
+          const data = await postJSON(
+            name,
+            url,
+            { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION },
+            {
+              model: resolvedModel,
+              max_tokens: MAX_TOKENS,
+              temperature,
+              messages: [{ role: 'user', content: prompt }],
+            }
+          );
+
+          const content = (data.content || [])
+            .filter((block) => block.type === 'text')
+            .map((block) => block.text)
+            .join('');
+          if (!content) {
+            throw invalidResponseError(name, 'response.content[].text');
+          }
+          return content;
+        },
+      };
+    }
+
+    case 'ollama': {
+      const url = `${(baseUrl || 'http://localhost:11434').replace(/\/+$/, '')}/api/chat`;
+      return {
+        name,
+        model: resolvedModel,
+        complete: async (prompt, { temperature }) => {
+          const data = await postJSON(
+            name,
+            url,
+            {},
+            {
+              model: resolvedModel,
+              messages: [{ role: 'user', content: prompt }],
+              stream: false,
+              options: { temperature },
+            }
+          );
+
+          if (!data.message?.content) {
+            throw invalidResponseError(name, 'response.message.content');
+          }
+          return data.message.content;
+        },
+      };
+    }
+  }
+}
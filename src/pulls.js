@@ -0,0 +1,427 @@
+import { compareVersions, isValidVersion } from './semver.js';
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Tag prefix that tags may leave out, as versions are tagged both as "v1.2.0" and "1.2.0"
+const OPTIONAL_TAG_PREFIX = 'v';
+
+/**
+ * Get the version of a release tag, e.g. "v1.2.0" -> "1.2.0" with the "v" tag prefix. Tags
+ * without the prefix are only versions of the "v" prefix, so that package tags like
+ * "api@1.2.0" never match a bare "1.2.0".
+ * @param {string} tag - Tag name
+ * @param {string} tagPrefix - Tag prefix of release tags
+ * @returns {string|null} Version, or null if the tag isn't a version tag
+ */
+export function getTagVersion(tag, tagPrefix) {
+  let version = null;
+  if (tag.startsWith(tagPrefix)) {
+    version = tag.slice(tagPrefix.length);
+  } else if (tagPrefix === OPTIONAL_TAG_PREFIX) {
+    version = tag;
+  }
+  return version !== null && isValidVersion(version) ? version : null;
+}
+
+/**
+ * Build a pattern matching the release PR titles of a title format,
+ * e.g. "Release: Version {{version}}" matches "Release: Version 1.2.0" but not
+ * "Bump lodash from 4.17.20 to 4.17.21"
+ * @param {string} titleFormat - Release PR title template
+ * @param {string} tagPrefix - Tag prefix of release tags, used for {{tag}}
+ * @returns {RegExp} Title pattern, capturing the version
+ */
+export function getReleaseTitlePattern(titleFormat, tagPrefix) {
+  const versionPattern = '(\\d+\\.\\d+\\.\\d+[\\w.+-]*)';
+  const variablePattern = /\{\{\{?\s*([\w.]+)\s*\}?\}\}/g;
+  let source = '';
+  let index = 0;
+
+  for (const match of titleFormat.matchAll(variablePattern)) {
+    source += escapeRegExp(titleFormat.slice(index, match.index));
+    if (match[1] === 'version') {
+      source += versionPattern;
+    } else if (match[1] === 'tag') {
+      source += `${escapeRegExp(tagPrefix)}${versionPattern}`;
+    } else {
+      source += '.*?';
+    }
+    index = match.index + match[0].length;
+  }
+  source += escapeRegExp(titleFormat.slice(index));
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Get the version of a release PR from its title
+ * @param {string} title - Release PR title
+ * @param {RegExp} titlePattern - Pattern returned by getReleaseTitlePattern()
+ * @returns {string|null} Version, or null if the title has no valid version
+ */
+export function getReleaseTitleVersion(title, titlePattern) {
+  const match = titlePattern.exec(title.trim());
+  const version = match?.slice(1).find(Boolean);
+  return version && isValidVersion(version) ? version : null;
+}
+
+/**
+ * Extract PR numbers from release PR description
+ * @param {string} description - PR description
+ * @returns {Set<number>} Set of PR numbers
+ */
+export function extractPRNumbersFromDescription(description) {
+  if (!description) return new Set();
+
+  // Match PR numbers in various formats like #123, (#123), or just plain 123 in PR lists
+  const prMatches = description.match(/#\d+|\(#\d+\)|(?<=PR:?\s*)\d+/g) || [];
+
+  return new Set(prMatches.map((match) => parseInt(match.replace(/[^0-9]/g, ''))));
+}
+
+/**
+ * Extract the pull request number from a merge or squash commit message
+ * @param {string} message - Commit message
+ * @returns {number|null} Pull request number or null
+ */
+export function extractPRNumberFromCommitMessage(message) {
+  const [subject] = message.split('\n');
+  const match = subject.match(/^Merge pull request #(\d+)\b/) || subject.match(/\(#(\d+)\)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Find the latest released version: the latest published GitHub Release, or else the
+ * highest version tag
+ * @param {Object} octokit - GitHub client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tagPrefix - Tag prefix of release tags
+ * @returns {Promise<{tag: string, version: string, source: string}|null>} Release tag, or null
+ *   if the repository has no version tags
+ */
+export async function findLatestReleaseTag(octokit, owner, repo, tagPrefix) {
+  const { data: releases } = await octokit.rest.repos.listReleases({ owner, repo, per_page: 100 });
+  const release = releases.find((item) => !item.draft && getTagVersion(item.tag_name, tagPrefix));
+  if (release) {
+    return {
+      tag: release.tag_name,
+      version: getTagVersion(release.tag_name, tagPrefix),
+      source: 'release',
+    };
+  }
+
+  const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+  const versionTags = tags
+    .map(({ name }) => ({ tag: name, version: getTagVersion(name, tagPrefix) }))
+    .filter(({ version }) => version);
+  if (versionTags.length === 0) return null;
+
+  const latest = versionTags.reduce((a, b) => (compareVersions(a.version, b.version) >= 0 ? a : b));
+  return { ...latest, source: 'tag' };
+}
+
+/**
+ * Find the release PR merged by a commit, e.g. the commit of a release tag
+ * @param {Object} octokit - GitHub client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @param {string} targetBranch - Target branch name
+ * @returns {Promise<Object|null>} Release PR, or null if the commit wasn't a release PR merge
+ */
+export async function findReleasePRForCommit(octokit, owner, repo, sha, targetBranch) {
+  const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+    owner,
+    repo,
+    commit_sha: sha,
+  });
+  return data.find((pr) => pr.merged_at && pr.base.ref === targetBranch) || null;
+}
+
+/**
+ * Find the latest release PR merged into the target branch, with a title matching the
+ * release title pattern
+ * @param {Object} octokit - GitHub client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} targetBranch - Target branch name
+ * @param {RegExp} titlePattern - Pattern returned by getReleaseTitlePattern()
+ * @param {string} [version] - Only find the release PR of this version
+ * @returns {Promise<Object|null>} Latest merged release PR, or null
+ */
+export async function findLatestMergedReleasePR(
+  octokit,
+  owner,
+  repo,
+  targetBranch,
+  titlePattern,
+  version
+) {
+  const iterator = octokit.paginate.iterator(octokit.rest.pulls.list, {
+    owner,
+    repo,
+    state: 'closed',
+    base: targetBranch,
+    sort: 'updated',
+    direction: 'desc',
+    per_page: 100,
+  });
+
+  let latest = null;
+  for await (const { data } of iterator) {
+    for (const pr of data) {
+      const isLater = !latest || new Date(pr.merged_at) > new Date(latest.merged_at);
+      const isRelease = version
+        ? getReleaseTitleVersion(pr.title, titlePattern) === version
+        : titlePattern.test(pr.title.trim());
+      if (pr.merged_at && isRelease && isLater) {
+        latest = pr;
+      }
+    }
+
+    // Merging updates a pull request, so the next pages were merged before the latest one
+    const last = data[data.length - 1];
+    if (latest && (!last || new Date(last.updated_at) < new Date(latest.merged_at))) break;
+  }
+  return latest;
+}
+
+/**
+ * Find the previous release of a repository, in order of preference:
+ * 1. The latest GitHub Release, or else the highest version tag, dated by its commit
+ * 2. The latest release PR merged into the target branch, matching the title format
+ * @param {Object} octokit - GitHub client
+ * @param {Object} options - Repository and release settings
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.targetBranch - Target branch name
+ * @param {string} options.tagPrefix - Tag prefix of release tags
+ * @param {string} options.titleFormat - Release PR title template
+ * @returns {Promise<Object>} Previous release: version, tag, date after which pull requests
+ *   are unreleased, source ("release", "tag", "releasePR" or null if there is none),
+ *   release PR and the numbers of the pull requests listed in it
+ */
+export async function findPreviousRelease(
+  octokit,
+  { owner, repo, targetBranch, tagPrefix, titleFormat }
+) {
+  const previous = {
+    version: null,
+    tag: null,
+    date: null,
+    source: null,
+    pullRequest: null,
+    includedNumbers: new Set(),
+  };
+
+  const latestTag = await findLatestReleaseTag(octokit, owner, repo, tagPrefix);
+  if (latestTag) {
+    const { data: commit } = await octokit.rest.repos.getCommit({
+      owner,
+      repo,
+      ref: latestTag.tag,
+    });
+    Object.assign(previous, latestTag, {
+      date: commit.commit.committer.date,
+      pullRequest: await findReleasePRForCommit(octokit, owner, repo, commit.sha, targetBranch),
+    });
+  } else {
+    const titlePattern = getReleaseTitlePattern(titleFormat, tagPrefix);
+    const releasePR = await findLatestMergedReleasePR(
+      octokit,
+      owner,
+      repo,
+      targetBranch,
+      titlePattern
+    );
+    if (releasePR) {
+      const version = getReleaseTitleVersion(releasePR.title, titlePattern);
+      Object.assign(previous, {
+        version,
+        tag: version && `${tagPrefix}${version}`,
+        date: releasePR.merged_at,
+        source: 'releasePR',
+        pullRequest: releasePR,
+      });
+    }
+  }
+
+  previous.includedNumbers = extractPRNumbersFromDescription(previous.pullRequest?.body);
+  return previous;
+}
+
+/**
+ * Resolve the --since option to a date
+ * @param {Object} octokit - GitHub client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} since - Date (YYYY-MM-DD or ISO 8601), tag, branch or commit SHA
+ * @returns {Promise<string>} ISO 8601 date
+ */
+export async function resolveSince(octokit, owner, repo, since) {
+  if (/^\d{4}-\d{2}-\d{2}/.test(since) && !Number.isNaN(Date.parse(since))) {
+    return new Date(since).toISOString();
+  }
+
+  try {
+    const { data } = await octokit.rest.repos.getCommit({ owner, repo, ref: since });
+    return data.commit.committer.date;
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      throw new Error(`--since "${since}" is not a date, tag or commit of ${owner}/${repo}`);
+    }
+    throw new Error(`Failed to resolve --since "${since}": ${error.message}`);
+  }
+}
+
+/**
+ * Fetch the pull requests merged into the base branch since the previous release
+ * @param {Object} octokit - GitHub client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} baseBranch - Base branch name
+ * @param {Object} previousRelease - Previous release returned by findPreviousRelease()
+ * @returns {Promise<{pulls: Array, excluded: Array<{pr: Object, reason: string}>}>}
+ *   Unreleased pull requests, and the pull requests left out because the previous release
+ *   PR already lists them
+ */
+export async function fetchPullRequests(octokit, owner, repo, baseBranch, previousRelease) {
+  const { date, pullRequest, includedNumbers } = previousRelease;
+  const pulls = [];
+  const excluded = [];
+  const iterator = octokit.paginate.iterator(octokit.rest.pulls.list, {
+    owner,
+    repo,
+    state: 'closed',
+    base: baseBranch,
+    sort: 'updated',
+    direction: 'desc',
+    per_page: 100,
+  });
+
+  for await (const { data } of iterator) {
+    // Filter PRs that are merged after the last release, not included in it, and merged to the target branch
+    const relevantPRs = data.filter((pr) => {
+      // Skip PRs that aren't merged
+      if (!pr.merged_at) return false;
+
+      // Skip PRs that aren't targeting the specified branch
+      if (pr.base && pr.base.ref !== baseBranch) return false;
+
+      const isAfterLastRelease = date ? new Date(pr.merged_at) >= new Date(date) : true;
+      if (!isAfterLastRelease || pr.id === pullRequest?.id) return false;
+
+      if (includedNumbers.has(pr.number)) {
+        excluded.push({ pr, reason: `included in release PR #${pullRequest.number}` });
+        return false;
+      }
+      return true;
+    });
+    pulls.push(...relevantPRs);
+
+    // Merging updates a pull request, so the next pages were merged before the release
+    const last = data[data.length - 1];
+    if (date && last && new Date(last.updated_at) < new Date(date)) break;
+  }
+
+  return { pulls, excluded };
+}
+
+/**
+ * Fetch the pull requests that are in the source branch but not yet in the target branch,
+ * based on the commits between both branches
+ * @param {Object} octokit - GitHub client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} targetBranch - Target branch name
+ * @param {Function} [onProgress] - Called with a progress message while pull requests are
+ *   looked up
+ * @returns {Promise<{pulls: Array, excluded: Array, commitCount: number}>} Unreleased pull
+ *   requests, in the same shape as fetchPullRequests(), and the number of compared commits
+ */
+export async function fetchComparedPullRequests(
+  octokit,
+  owner,
+  repo,
+  sourceBranch,
+  targetBranch,
+  onProgress = () => {}
+) {
+  const commits = [];
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${targetBranch}...${sourceBranch}`,
+      per_page: 100,
+      page,
+    });
+    commits.push(...data.commits);
+    if (data.commits.length === 0 || commits.length >= data.total_commits) break;
+  }
+
+  const commitsBySha = new Map(commits.map((commit) => [commit.sha, commit]));
+  const prNumbers = new Set();
+  const coveredShas = new Set();
+
+  // Merge and squash commits reference their pull request in the commit message
+  for (const commit of commits) {
+    const number = extractPRNumberFromCommitMessage(commit.commit.message);
+    if (!number) continue;
+
+    prNumbers.add(number);
+    coveredShas.add(commit.sha);
+
+    // Commits brought in by a merge commit belong to the same pull request
+    const queue = commit.parents.slice(1).map((parent) => parent.sha);
+    while (queue.length > 0) {
+      const sha = queue.pop();
+      if (coveredShas.has(sha) || !commitsBySha.has(sha)) continue;
+
+      coveredShas.add(sha);
+      queue.push(...commitsBySha.get(sha).parents.map((parent) => parent.sha));
+    }
+  }
+
+  const pulls = new Map();
+  const isUnreleased = (pr) => pr.merged_at && pr.base.ref === sourceBranch;
+
+  // Look up the pull requests of the remaining commits, e.g. rebase merges
+  const uncoveredCommits = commits.filter((commit) => !coveredShas.has(commit.sha));
+  for (const [index, commit] of uncoveredCommits.entries()) {
+    onProgress(`Finding pull requests for commits (${index + 1}/${uncoveredCommits.length})...`);
+    const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+      owner,
+      repo,
+      commit_sha: commit.sha,
+    });
+    data.filter(isUnreleased).forEach((pr) => pulls.set(pr.number, pr));
+  }
+
+  const remainingNumbers = [...prNumbers].filter((number) => !pulls.has(number));
+  for (const [index, number] of remainingNumbers.entries()) {
+    onProgress(`Fetching pull requests (${index + 1}/${remainingNumbers.length})...`);
+    try {
+      const { data: pr } = await octokit.rest.pulls.get({ owner, repo, pull_number: number });
+      if (isUnreleased(pr)) pulls.set(pr.number, pr);
+    } catch (error) {
+      // The number may refer to an issue rather than a pull request
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  const unreleasedPRs = [...pulls.values()].sort(
+    (a, b) => new Date(b.merged_at) - new Date(a.merged_at)
+  );
+
+  return { pulls: unreleasedPRs, excluded: [], commitCount: commits.length };
+}
@@ -0,0 +1,204 @@
+// SemVer 2.0.0 version with optional "v" prefix, pre-release and build metadata
+const VERSION_PATTERN =
+  /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+// Labels that trigger a bump, matched case-insensitively
+const MAJOR_LABELS = ['breaking', 'breaking change', 'breaking-change'];
+const MINOR_LABELS = ['feature', 'enhancement'];
+
+// Conventional commit title prefixes, e.g. "feat(api)!: ..." or "fix: ..."
+const BREAKING_TITLE_PATTERN = /^\w+(?:\([^)]*\))?!:/;
+const FEATURE_TITLE_PATTERN = /^feat(?:\([^)]*\))?:/i;
+const BREAKING_BODY_PATTERN = /BREAKING[ -]CHANGE/;
+
+/**
+ * Parse a semantic version
+ * @param {string} version - Version string, optionally prefixed with "v"
+ * @returns {Object|null} Parsed version with major, minor, patch, prerelease and build, or null
+ */
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec((version || '').trim());
+  if (!match) return null;
+
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.') : [],
+    build: match[5] ? match[5].split('.') : [],
+  };
+}
+
+/**
+ * Check whether a string is a valid semantic version (without "v" prefix)
+ * @param {string} version - Version string
+ * @returns {boolean} True if the version is valid
+ */
+export function isValidVersion(version) {
+  return !/^v/.test(version) && parseVersion(version) !== null;
+}
+
+/**
+ * Format a parsed version
+ * @param {Object} version - Parsed version
+ * @returns {string} Version string
+ */
+export function formatVersion({ major, minor, patch, prerelease = [], build = [] }) {
+  let version = `${major}.${minor}.${patch}`;
+  if (prerelease.length > 0) version += `-${prerelease.join('.')}`;
+  if (build.length > 0) version += `+${build.join('.')}`;
+  return version;
+}
+
+/**
+ * Compare two versions by precedence, ignoring build metadata
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a comes before b, positive if after, 0 if they are equal
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (left[key] !== right[key]) return left[key] - right[key];
+  }
+
+  // A prerelease comes before its release, e.g. 2.0.0-rc.1 < 2.0.0
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let index = 0; index < length; index++) {
+    const x = left.prerelease[index];
+    const y = right.prerelease[index];
+    if (x === y) continue;
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+
+    // Numeric identifiers are compared numerically and come before alphanumeric ones
+    const xIsNumber = /^\d+$/.test(x);
+    const yIsNumber = /^\d+$/.test(y);
+    if (xIsNumber && yIsNumber) return parseInt(x, 10) - parseInt(y, 10);
+    if (xIsNumber !== yIsNumber) return xIsNumber ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Increment a version
+ * Prerelease versions graduate to their release version when it satisfies the bump,
+ * e.g. 2.0.0-rc.1 + major = 2.0.0. With a prerelease identifier, matching prerelease
+ * counters are incremented (1.3.0-beta.0 -> 1.3.0-beta.1), otherwise a new one starts
+ * (1.2.0 + minor + beta = 1.3.0-beta.0).
+ * @param {string} version - Current version
+ * @param {'major'|'minor'|'patch'} bump - Bump type
+ * @param {string} [preid] - Prerelease identifier, e.g. "beta"
+ * @returns {string} Incremented version
+ */
+export function incrementVersion(version, bump, preid) {
+  const current = parseVersion(version);
+  if (!current) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+
+  const { major, minor, patch } = current;
+  const isPrerelease = current.prerelease.length > 0;
+  let next;
+
+  if (bump === 'major') {
+    next =
+      isPrerelease && minor === 0 && patch === 0
+        ? { major, minor, patch }
+        : { major: major + 1, minor: 0, patch: 0 };
+  } else if (bump === 'minor') {
+    next =
+      isPrerelease && patch === 0 ? { major, minor, patch } : { major, minor: minor + 1, patch: 0 };
+  } else {
+    next = isPrerelease ? { major, minor, patch } : { major, minor, patch: patch + 1 };
+  }
+
+  if (!preid) {
+    return formatVersion(next);
+  }
+
+  const isSameRelease =
+    isPrerelease && next.major === major && next.minor === minor && next.patch === patch;
+
+  if (isSameRelease && current.prerelease[0] === preid) {
+    const prerelease = [...current.prerelease];
+    let counterIndex = prerelease.length - 1;
+    while (counterIndex > 0 && !/^\d+$/.test(prerelease[counterIndex])) counterIndex--;
+
+    if (counterIndex > 0) {
+      prerelease[counterIndex] = String(parseInt(prerelease[counterIndex], 10) + 1);
+    } else {
+      prerelease.push('0');
+    }
+    return formatVersion({ ...next, prerelease });
+  }
+
+  return formatVersion({ ...next, prerelease: [preid, '0'] });
+}
+
+/**
+ * Get the lowercase label names of a pull request
+ * @param {Object} pr - Pull request
+ * @returns {Array<string>} Label names
+ */
+function getLabelNames(pr) {
+  return (pr.labels || []).map((label) =>
+    (typeof label === 'string' ? label : label.name || '').toLowerCase()
+  );
+}
+
+/**
+ * Determine the version bump required by a set of pull requests, based on
+ * conventional commit titles, "BREAKING CHANGE" notes and labels
+ * @param {Array} pulls - Pull requests included in the release
+ * @returns {{bump: 'major'|'minor'|'patch', reason: string}} Bump type and the reason for it
+ */
+export function determineBump(pulls) {
+  const breakingPR = pulls.find(
+    (pr) =>
+      BREAKING_TITLE_PATTERN.test(pr.title) ||
+      BREAKING_BODY_PATTERN.test(pr.body || '') ||
+      getLabelNames(pr).some((label) => MAJOR_LABELS.includes(label))
+  );
+  if (breakingPR) {
+    return { bump: 'major', reason: `breaking change in #${breakingPR.number}` };
+  }
+
+  const featurePR = pulls.find(
+    (pr) =>
+      FEATURE_TITLE_PATTERN.test(pr.title) ||
+      getLabelNames(pr).some((label) => MINOR_LABELS.includes(label))
+  );
+  if (featurePR) {
+    return { bump: 'minor', reason: `new feature in #${featurePR.number}` };
+  }
+
+  return { bump: 'patch', reason: 'no features or breaking changes' };
+}
+
+/**
+ * Suggest the next version for a release
+ * @param {string|null} latestVersion - Version of the latest release, or null for a first release
+ * @param {Array} pulls - Pull requests included in the release
+ * @param {string} [preid] - Prerelease identifier, e.g. "beta"
+ * @returns {{version: string, bump: string, reason: string}} Suggested version and the reason for it
+ */
+export function suggestVersion(latestVersion, pulls, preid) {
+  if (!latestVersion) {
+    return {
+      version: preid ? `1.0.0-${preid}.0` : '1.0.0',
+      bump: 'major',
+      reason: 'first release',
+    };
+  }
+
+  const { bump, reason } = determineBump(pulls);
+  return { version: incrementVersion(latestVersion, bump, preid), bump, reason };
+}
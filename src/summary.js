@@ -0,0 +1,111 @@
+import { categorizePullRequests, formatSections } from './categories.js';
+
+/**
+ * Get the profile URL of a GitHub user
+ * @param {string} webUrl - GitHub web URL, e.g. https://github.com
+ * @param {string} login - GitHub username
+ * @returns {string} Profile URL
+ */
+export function getUserUrl(webUrl, login) {
+  return `${webUrl}/${login}`;
+}
+
+/**
+ * Format pull requests as a simple list
+ * @param {Array} pulls - List of pull requests
+ * @param {string} webUrl - GitHub web URL, used for author links
+ * @returns {string} Pull request list
+ */
+export function formatPRList(pulls, webUrl) {
+  return pulls
+    .map((pr) => {
+      const date = new Date(pr.created_at).toLocaleDateString();
+      return `#${pr.number} - ${pr.title} (by [@${pr.user.login}](${getUserUrl(webUrl, pr.user.login)}) on ${date})`;
+    })
+    .join('\n');
+}
+
+/**
+ * Group pull requests into sections with categorization rules, followed by the list of
+ * pull requests included in the release
+ * @param {Array} pulls - List of pull requests
+ * @param {Object} rules - Categorization rules, see categorizePullRequests()
+ * @param {string} webUrl - GitHub web URL, used for author links
+ * @returns {{summary: string, excluded: Array<{pr: Object, reason: string}>}} Release summary,
+ *   and the pull requests left out of the sections with the reason
+ */
+export function formatRuleSummary(pulls, rules, webUrl) {
+  const { sections, excluded } = categorizePullRequests(pulls, rules);
+
+  const summary = [formatSections(sections), `### Pull Requests\n\n${formatPRList(pulls, webUrl)}`]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return { summary, excluded };
+}
+
+// Task list items, e.g. "- [x] @alice: #12"
+const CHECKLIST_ITEM_PATTERN = /^(\s*[-*] )\[([ xX])\] (.+)$/gm;
+
+// Checklist section written by formatVerificationChecklist()
+const VERIFICATION_CHECKLIST_PATTERN =
+  /^### Please verify on .*\n\n(?:[-*] \[[ xX]\] .*(?:\n|$))+/gm;
+
+/**
+ * Check whether a GitHub user is a bot, e.g. dependabot[bot]
+ * @param {Object} user - GitHub user
+ * @returns {boolean} True for bot accounts
+ */
+export function isBot(user) {
+  return user?.type === 'Bot' || /\[bot\]$/i.test(user?.login || '');
+}
+
+/**
+ * Format a checklist asking the authors of the pull requests to verify their changes, with
+ * one item per author mentioning them. Bots are left out.
+ * @param {Array} pulls - List of pull requests
+ * @param {string} branch - Branch to verify the changes on
+ * @returns {string} Markdown checklist, or an empty string if no pull request has a human author
+ */
+export function formatVerificationChecklist(pulls, branch) {
+  const numbersByAuthor = new Map();
+  for (const pr of pulls) {
+    if (isBot(pr.user)) continue;
+    numbersByAuthor.set(pr.user.login, [
+      ...(numbersByAuthor.get(pr.user.login) || []),
+      `#${pr.number}`,
+    ]);
+  }
+  if (numbersByAuthor.size === 0) return '';
+
+  const items = [...numbersByAuthor].map(
+    ([login, numbers]) => `- [ ] @${login}: ${numbers.join(', ')}`
+  );
+  return `### Please verify on ${branch}\n\n${items.join('\n')}`;
+}
+
+/**
+ * Check the checklist items of a regenerated body that were checked in its previous version
+ * @param {string} body - Regenerated body
+ * @param {string} previousBody - Previous body
+ * @returns {string} Body with the checked items carried over
+ */
+export function carryOverCheckedItems(body, previousBody) {
+  const checked = new Set();
+  for (const [, , state, text] of (previousBody || '').matchAll(CHECKLIST_ITEM_PATTERN)) {
+    if (state !== ' ') checked.add(text.trim());
+  }
+
+  return body.replace(CHECKLIST_ITEM_PATTERN, (item, prefix, state, text) =>
+    checked.has(text.trim()) ? `${prefix}[x] ${text}` : item
+  );
+}
+
+/**
+ * Remove the verification checklist from a release PR body, e.g. for the release notes
+ * @param {string} body - Release PR body
+ * @returns {string} Body without the checklist
+ */
+export function removeVerificationChecklist(body) {
+  return body.replace(VERIFICATION_CHECKLIST_PATTERN, '').trim();
+}
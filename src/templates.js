@@ -0,0 +1,150 @@
+import { readFile } from 'fs/promises';
+import { isAbsolute, join } from 'path';
+
+// Default prompt used to generate AI release summaries
+export const DEFAULT_PROMPT_TEMPLATE = `Create a release summary for the following pull requests. The summary should have two parts:
+
+1. Group the changes by type (e.g., Features, Bug Fixes, Improvements) and list them down in bullet points.
+  1.1 Make each type is an h3 header with a corresponding emoji prefix.
+  1.2 For each type, make each bullet point concise and easy to read and understand for non-tech people.
+  1.3 Don't link the bullet points to a pull requests
+2. The last section should be a list of pull requests included in the release. Format: "#<number> - <title> by [@<author>](<authorUrl>) (<date>)".
+3. Don't add Release Summary title/heading.
+
+Pull Requests to summarize:
+{{prsJson}}
+
+Keep the summary concise, clear, and focused on the user impact. Use professional but easy-to-understand language.`;
+
+// Prompt used to summarize a part of the pull requests when they exceed the token budget
+export const CHUNK_PROMPT_TEMPLATE = `Summarize the following pull requests as notes for a release summary.
+Group the changes by type (e.g., Features, Bug Fixes, Improvements) with one concise bullet point per change, mentioning the pull request number.
+
+Pull Requests to summarize:
+{{prsJson}}`;
+
+// Default release PR body, with the verification checklist when it is enabled
+export const DEFAULT_BODY_TEMPLATE = `# Release Summary
+
+{{summary}}{{#checklist}}
+
+{{checklist}}{{/checklist}}`;
+
+// Sections ({{#name}}...{{/name}}), inverted sections ({{^name}}...{{/name}}) and
+// variables ({{name}}, {{{name}}}, {{a.b}} or {{.}} for the current item)
+const TOKEN_PATTERN =
+  /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\{?\s*([\w.]+|\.)\s*\}?\}\}/g;
+
+/**
+ * Look up a variable in a template context, supporting dotted paths
+ * @param {Array<Object>} scopes - Context stack, innermost last
+ * @param {string} name - Variable name
+ * @returns {*} Variable value, or undefined if it isn't defined
+ */
+function lookup(scopes, name) {
+  if (name === '.') return scopes[scopes.length - 1];
+
+  const [head, ...path] = name.split('.');
+  for (let index = scopes.length - 1; index >= 0; index--) {
+    const scope = scopes[index];
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return path.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check whether a section value should be rendered
+ * @param {*} value - Section value
+ * @returns {boolean} True for non-empty arrays and truthy values
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a template against a stack of scopes
+ * @param {string} template - Template source
+ * @param {Array<Object>} scopes - Context stack, innermost last
+ * @returns {string} Rendered template
+ */
+function renderScopes(template, scopes) {
+  // Rendered values are never rescanned, so variables can't inject template syntax
+  return template.replace(TOKEN_PATTERN, (match, type, sectionName, content, variableName) => {
+    if (variableName) {
+      const value = lookup(scopes, variableName);
+      if (value == null) return '';
+      return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    }
+
+    const value = lookup(scopes, sectionName);
+    if (type === '^') {
+      return isTruthy(value) ? '' : renderScopes(content, scopes);
+    }
+    if (!isTruthy(value)) return '';
+    if (Array.isArray(value)) {
+      return value.map((item) => renderScopes(content, [...scopes, item])).join('');
+    }
+    return renderScopes(content, typeof value === 'object' ? [...scopes, value] : scopes);
+  });
+}
+
+/**
+ * Render a mustache-style template.
+ * Supports {{variable}}, dotted paths ({{author.login}}), sections that repeat for lists
+ * ({{#prs}}...{{/prs}}) and inverted sections ({{^prs}}...{{/prs}}). Values are not escaped.
+ * @param {string} template - Template source
+ * @param {Object} context - Template variables
+ * @returns {string} Rendered template
+ */
+export function renderTemplate(template, context) {
+  return renderScopes(template, [context]);
+}
+
+/**
+ * Load a template file
+ * @param {string} path - Template path, relative paths are resolved from the repository root
+ * @param {string} root - Repository root
+ * @returns {Promise<string>} Template source
+ */
+export async function loadTemplate(path, root) {
+  const resolvedPath = isAbsolute(path) ? path : join(root, path);
+  try {
+    return await readFile(resolvedPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read template ${resolvedPath}: ${error.message}`);
+  }
+}
+
+// Markers around release PR body sections that are kept when the release PR is updated
+export const MANUAL_SECTION_START = '<!-- manual-start -->';
+export const MANUAL_SECTION_END = '<!-- manual-end -->';
+
+const MANUAL_SECTION_PATTERN = /<!--\s*manual-start\s*-->[\s\S]*?<!--\s*manual-end\s*-->/g;
+
+/**
+ * Extract the manually-edited sections of a release PR body, including their markers
+ * @param {string} body - Release PR body
+ * @returns {Array<string>} Manual sections
+ */
+export function extractManualSections(body) {
+  return (body || '').match(MANUAL_SECTION_PATTERN) || [];
+}
+
+/**
+ * Carry manually-edited sections over to a regenerated release PR body.
+ * Sections replace the marker blocks of the new body in order; remaining sections are appended.
+ * @param {string} body - Regenerated release PR body
+ * @param {Array<string>} sections - Manual sections of the previous body
+ * @returns {string} Release PR body with the manual sections
+ */
+export function mergeManualSections(body, sections) {
+  let index = 0;
+  const merged = body.replace(MANUAL_SECTION_PATTERN, (block) =>
+    index < sections.length ? sections[index++] : block
+  );
+
+  const remaining = sections.slice(index);
+  return remaining.length > 0 ? `${merged.trimEnd()}\n\n${remaining.join('\n\n')}\n` : merged;
+}
@@ -0,0 +1,227 @@
+import { renderTemplate } from './templates.js';
+
+// JSON paths updated in JSON files listed by path only; missing paths are skipped
+const DEFAULT_JSON_PATHS = ['version'];
+const PACKAGE_LOCK_JSON_PATHS = ['version', 'packages[""].version'];
+
+// Segments of a JSON path, e.g. expo.version or packages[""].version
+const JSON_PATH_SEGMENT_PATTERN = /([^.[\]]+)|\[(?:"([^"]*)"|(\d+))\]/g;
+
+/**
+ * Normalize the version files setting. Entries are either a path, or an object with a path and
+ * one of:
+ * - jsonPath: JSON path or list of JSON paths of the version, e.g. "expo.version"
+ * - pattern and replacement: regular expression replaced by a template, e.g.
+ *   {"pattern": "versionName \"[^\"]*\"", "replacement": "versionName \"{{version}}\""}
+ * Without either, the whole file is the version. Paths alone are JSON files when they end
+ * with .json and plain text files otherwise.
+ * @param {Array<string|Object>} entries - Version files setting
+ * @returns {Array<Object>} Version files with path and type ("json", "regex" or "text"), and
+ *   jsonPaths, or pattern and replacement
+ */
+export function normalizeVersionFiles(entries) {
+  return entries.map((entry) => {
+    const file = typeof entry === 'string' ? { path: entry } : entry;
+    if (!file || typeof file.path !== 'string' || !file.path.trim()) {
+      throw new Error(`Version file entries need a path, got ${JSON.stringify(entry)}`);
+    }
+    const path = file.path.trim();
+
+    if (file.pattern !== undefined || file.replacement !== undefined) {
+      if (typeof file.pattern !== 'string' || typeof file.replacement !== 'string') {
+        throw new Error(`${path}: "pattern" and "replacement" must both be strings`);
+      }
+      try {
+        return {
+          path,
+          type: 'regex',
+          pattern: new RegExp(file.pattern, 'gm'),
+          replacement: file.replacement,
+        };
+      } catch (error) {
+        throw new Error(`${path}: invalid pattern: ${error.message}`);
+      }
+    }
+
+    if (file.jsonPath !== undefined) {
+      const jsonPaths = [].concat(file.jsonPath);
+      if (jsonPaths.length === 0 || !jsonPaths.every((jsonPath) => typeof jsonPath === 'string')) {
+        throw new Error(`${path}: "jsonPath" must be a string or a list of strings`);
+      }
+      return { path, type: 'json', jsonPaths };
+    }
+
+    if (/\.json$/i.test(path)) {
+      const isPackageLock = /(^|\/)package-lock\.json$/.test(path);
+      return {
+        path,
+        type: 'json',
+        jsonPaths: isPackageLock ? PACKAGE_LOCK_JSON_PATHS : DEFAULT_JSON_PATHS,
+      };
+    }
+
+    return { path, type: 'text' };
+  });
+}
+
+/**
+ * Split a JSON path into its keys
+ * @param {string} jsonPath - JSON path, e.g. packages[""].version
+ * @returns {Array<string>} Keys, e.g. ["packages", "", "version"]
+ */
+function parseJsonPath(jsonPath) {
+  return [...jsonPath.matchAll(JSON_PATH_SEGMENT_PATTERN)].map(
+    ([, key, quotedKey, index]) => key ?? quotedKey ?? index
+  );
+}
+
+/**
+ * Find the position of a value in a JSON document, without reformatting it
+ * @param {string} content - Valid JSON text
+ * @param {Array<string>} keys - Keys of the value, see parseJsonPath()
+ * @returns {{start: number, end: number}|null} Offsets of the value, or null if not found
+ */
+function findJsonValue(content, keys) {
+  let index = 0;
+  let match = null;
+
+  const skipWhitespace = () => {
+    while (/\s/.test(content[index] ?? '')) index++;
+  };
+  const readString = () => {
+    const start = index++;
+    while (content[index] !== '"') index += content[index] === '\\' ? 2 : 1;
+    index++;
+    return JSON.parse(content.slice(start, index));
+  };
+  const readValue = (path) => {
+    skipWhitespace();
+    const start = index;
+    if (content[index] === '{' || content[index] === '[') {
+      const isObject = content[index++] === '{';
+      skipWhitespace();
+      for (let item = 0; content[index] !== (isObject ? '}' : ']'); item++) {
+        skipWhitespace();
+        let key = String(item);
+        if (isObject) {
+          key = readString();
+          skipWhitespace();
+          // Colon between the key and the value
+          index++;
+        }
+        readValue([...path, key]);
+        skipWhitespace();
+        if (content[index] === ',') index++;
+        skipWhitespace();
+      }
+      index++;
+    } else if (content[index] === '"') {
+      readString();
+    } else {
+      while (index < content.length && !/[\s,\]}]/.test(content[index])) index++;
+    }
+
+    // The last duplicate key wins, as with JSON.parse()
+    if (path.length === keys.length && path.every((key, position) => key === keys[position])) {
+      match = { start, end: index };
+    }
+  };
+
+  readValue([]);
+  return match;
+}
+
+/**
+ * Set the version in a JSON document. Only the version values are replaced, so the rest of
+ * the file keeps its formatting.
+ * @param {string} content - JSON file content
+ * @param {Object} file - Normalized version file
+ * @param {string} version - New version
+ * @returns {string} Updated content
+ */
+function bumpJson(content, file, version) {
+  try {
+    JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${file.path}: invalid JSON: ${error.message}`);
+  }
+
+  const positions = file.jsonPaths
+    .map((jsonPath) => findJsonValue(content, parseJsonPath(jsonPath)))
+    .filter(Boolean);
+  if (positions.length === 0) {
+    throw new Error(`${file.path}: ${file.jsonPaths.join(' or ')} not found`);
+  }
+
+  // Replace from the end, so the earlier positions stay valid
+  return positions
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (text, { start, end }) =>
+        `${text.slice(0, start)}${JSON.stringify(version)}${text.slice(end)}`,
+      content
+    );
+}
+
+/**
+ * Escape the $ of the strings in template variables, so that only the replacement written by
+ * the user refers to capture groups
+ * @param {*} value - Template variable
+ * @returns {*} Variable with escaped strings
+ */
+function escapeReplacement(value) {
+  if (typeof value === 'string') return value.replaceAll('$', '$$$$');
+  if (Array.isArray(value)) return value.map(escapeReplacement);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, escapeReplacement(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Update the version in the content of a version file
+ * @param {string} content - Current file content
+ * @param {Object} file - Normalized version file, see normalizeVersionFiles()
+ * @param {Object} context - Template variables, with at least version
+ * @returns {string} Updated content
+ */
+export function bumpVersionFile(content, file, context) {
+  if (file.type === 'json') {
+    return bumpJson(content, file, context.version);
+  }
+
+  if (file.type === 'regex') {
+    file.pattern.lastIndex = 0;
+    if (!file.pattern.test(content)) {
+      throw new Error(`${file.path}: pattern ${file.pattern.source} not found`);
+    }
+    return content.replace(
+      file.pattern,
+      renderTemplate(file.replacement, escapeReplacement(context))
+    );
+  }
+
+  return `${context.version}${/\r?\n$/.exec(content)?.[0] ?? '\n'}`;
+}
+
+/**
+ * Describe the lines changed by a version bump, for previews
+ * @param {string} before - Content before the bump
+ * @param {string} after - Content after the bump
+ * @returns {Array<string>} Removed lines prefixed with "-" followed by their replacements
+ *   prefixed with "+"
+ */
+export function formatVersionFileChanges(before, after) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+  // Bumps keep the line count; otherwise show the new content
+  if (oldLines.length !== newLines.length) {
+    return newLines.filter(Boolean).map((line) => `+${line}`);
+  }
+
+  return oldLines.flatMap((line, index) =>
+    line === newLines[index] ? [] : [`-${line}`, `+${newLines[index]}`]
+  );
+}
@@ -0,0 +1,872 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile as execFileCallback } from 'child_process';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { promisify } from 'util';
+import { runCli } from './helpers/cli.js';
+import { createPR, startGitHubServer } from './helpers/github.js';
+import { startLLMServer } from './helpers/llm.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+const AI_SUMMARY = `### 🚀 Features
+
+- Sign in with your account
+
+### 🐛 Bug Fixes
+
+- Saving no longer crashes
+
+### Pull Requests
+
+#41 - feat: add login by [@alice](https://github.com/alice) (3/1/2025)
+#42 - fix: crash on save by [@bob](https://github.com/bob) (3/1/2025)`;
+
+// acme/web: v1.2.0 was released with release PR #40; #38 was merged late but listed in it
+const pulls = [
+  createPR(40, {
+    title: 'Release: Version 1.2.0',
+    body: '# Release Summary\n\n#37 - feat: search\n#38 - fix: typo',
+    base: { ref: 'main' },
+    head: { ref: 'staging' },
+    merged_at: '2025-03-01T00:00:00Z',
+  }),
+  createPR(39, { title: 'feat: search filters', merged_at: '2025-02-28T00:00:00Z' }),
+  createPR(38, { title: 'fix: typo', merged_at: '2025-03-01T12:00:00Z' }),
+  createPR(41, { title: 'feat: add login', merged_at: '2025-03-02T00:00:00Z' }),
+  createPR(42, {
+    title: 'fix: crash on save',
+    user: { login: 'bob' },
+    labels: [{ name: 'bug' }],
+    merged_at: '2025-03-03T00:00:00Z',
+  }),
+  createPR(43, { title: 'docs: update readme', merged_at: '2025-03-04T00:00:00Z' }),
+  createPR(44, { title: 'wip: never merged', merged_at: null }),
+];
+
+const execFile = promisify(execFileCallback);
+
+const repository = {
+  releases: [{ tag_name: 'v1.2.0', draft: false }],
+  commits: { 'v1.2.0': { sha: 'release-sha', date: '2025-03-01T00:00:00Z' } },
+  commitPulls: { 'release-sha': [40] },
+};
+
+/**
+ * Create a git checkout with an origin remote in a directory
+ * @param {string} dir - Directory
+ * @param {Object} checkout - Checkout settings
+ * @param {string} checkout.remoteUrl - URL of the origin remote
+ * @param {string} checkout.branch - Checked out branch
+ * @param {string} [checkout.defaultBranch] - Default branch recorded for the remote, as by a clone
+ * @returns {Promise<void>}
+ */
+async function createCheckout(dir, { remoteUrl, branch, defaultBranch }) {
+  const git = (...args) => execFile('git', args, { cwd: dir });
+  await git('init', '--quiet', '--initial-branch', branch);
+  await git('remote', 'add', 'origin', remoteUrl);
+  if (defaultBranch) {
+    await git('symbolic-ref', 'refs/remotes/origin/HEAD', `refs/remotes/origin/${defaultBranch}`);
+  }
+}
+
+describe('create-app-release', () => {
+  let llm;
+
+  before(async () => {
+    llm = await startLLMServer(AI_SUMMARY);
+  });
+
+  after(() => llm.close());
+
+  /**
+   * Run the CLI against a GitHub stand-in serving acme/web
+   * @param {Array<string>} args - CLI arguments
+   * @param {Object} [options] - Run options
+   * @param {Array<Object>} [options.extraPulls] - Pull requests added to the fixtures
+   * @param {Array<Array>} [options.answers] - Scripted prompt answers
+   * @param {Object} [options.checkout] - Git checkout of acme/web to run in, see createCheckout()
+   * @param {Object} [options.config] - Contents of the config file in the working directory
+   * @param {Object} [options.fixtures] - Additional GitHub fixtures, see startGitHubServer();
+   *   pulls replaces the pull requests, e.g. to list them in another order
+   * @param {Object<string, string>} [options.files] - Files to create in the working directory
+   * @param {Function} [options.inspect] - Called with the working directory after the run
+   * @param {Object} [options.env] - Additional environment variables
+   * @returns {Promise<Object>} CLI result, and the web URL of the GitHub stand-in and the
+   *   requests it received
+   */
+  async function release(
+    args,
+    { extraPulls = [], answers, checkout, config, fixtures, files = {}, inspect, env } = {}
+  ) {
+    const github = await startGitHubServer({
+      ...repository,
+      pulls: [...pulls, ...extraPulls],
+      ...fixtures,
+    });
+    // The publish command has its own --github-url option
+    const [command, ...rest] = args[0] === 'publish' ? args : [null, ...args];
+    const cliArgs = [...(command ? [command] : []), '--github-url', github.url, ...rest];
+    try {
+      const result = await runCli(cliArgs, {
+        answers,
+        prepare: async (dir) => {
+          if (checkout) {
+            await createCheckout(dir, { remoteUrl: `${github.url}/acme/web.git`, ...checkout });
+          }
+          if (config) {
+            await writeFile(join(dir, '.create-app-release.json'), JSON.stringify(config));
+          }
+          for (const [path, content] of Object.entries(files)) {
+            await writeFile(join(dir, path), content);
+          }
+        },
+        inspect,
+        env: {
+          GITHUB_TOKEN: 'ghp_test',
+          OPENAI_API_KEY: 'sk-test',
+          OPENAI_BASE_URL: `${llm.url}/v1`,
+          ...env,
+        },
+      });
+      return { ...result, webUrl: github.url, requests: github.requests };
+    } finally {
+      await github.close();
+    }
+  }
+
+  test('creates the release PR from the answers to the prompts', async () => {
+    const { code, stderr, requests } = await release(['--repo', 'acme/web'], {
+      answers: [
+        ['sourceBranch', 'staging'],
+        ['targetBranch', 'main'],
+        ['selectedPRs', [41, 42]],
+        ['version', '1.3.0'],
+        ['summaryType', 'ai'],
+        ['action', 'accept'],
+        ['confirm', true],
+      ],
+    });
+
+    assert.equal(code, 0, stderr);
+    assert.doesNotMatch(stderr, /Unused scripted answers/);
+
+    const created = requests.filter(({ method }) => method === 'POST');
+    assert.equal(created.length, 1);
+    assert.equal(created[0].path, '/repos/acme/web/pulls');
+    assert.deepEqual(created[0].body, {
+      title: 'Release: Version 1.3.0',
+      head: 'staging',
+      base: 'main',
+      body: `# Release Summary\n\n${AI_SUMMARY}`,
+      draft: true,
+    });
+
+    // Only the selected pull requests are sent to the AI
+    const prompt = llm.requests.at(-1).body.messages.at(-1).content;
+    assert.match(prompt, /"number": 41/);
+    assert.match(prompt, /"number": 42/);
+    assert.doesNotMatch(prompt, /"number": 43/);
+  });
+
+  test('prints the release plan as JSON in a dry run', async () => {
+    const { code, stdout, stderr, requests } = await release([
+      '--repo',
+      'acme/web',
+      '--include',
+      'all',
+      '--summary',
+      'list',
+      '--json',
+      '--dry-run',
+    ]);
+
+    assert.equal(code, 0, stderr);
+    assert.equal(
+      requests.filter(({ method }) => method !== 'GET').length,
+      0,
+      'nothing is written to GitHub'
+    );
+
+    const { dryRun, releases } = JSON.parse(stdout);
+    assert.equal(dryRun, true);
+    assert.equal(releases.length, 1);
+
+    const [plan] = releases;
+    assert.equal(plan.status, 'dry run');
+    assert.deepEqual(plan.previousRelease, {
+      version: '1.2.0',
+      tag: 'v1.2.0',
+      source: 'release',
+      date: '2025-03-01T00:00:00Z',
+      pullRequest: {
+        number: 40,
+        title: 'Release: Version 1.2.0',
+        author: 'alice',
+        url: 'https://github.com/acme/web/pull/40',
+        mergedAt: '2025-03-01T00:00:00Z',
+        labels: [],
+      },
+    });
+    assert.deepEqual(
+      plan.candidates.map((pr) => pr.number),
+      [41, 42, 43]
+    );
+    assert.deepEqual(plan.excluded, [
+      {
+        number: 38,
+        title: 'fix: typo',
+        author: 'alice',
+        url: 'https://github.com/acme/web/pull/38',
+        mergedAt: '2025-03-01T12:00:00Z',
+        labels: [],
+        reason: 'included in release PR #40',
+      },
+    ]);
+    assert.equal(plan.version, '1.3.0');
+    assert.equal(plan.releasePR.title, 'Release: Version 1.3.0');
+    assert.equal(plan.releasePR.number, null);
+  });
+
+  test('keeps pull request descriptions when a large release is summarized in parts', async () => {
+    const described = [41, 42, 43].map((number) =>
+      createPR(number + 10, {
+        title: `feat: report ${number}`,
+        body: `Adds report ${number}: ${'a chart of the weekly sales per region, '.repeat(5)}`,
+        merged_at: '2025-03-05T00:00:00Z',
+      })
+    );
+    const { code, stderr } = await release(
+      [
+        '--repo',
+        'acme/web',
+        '--include',
+        'all',
+        '--summary',
+        'ai',
+        '--context',
+        'standard',
+        '--token-budget',
+        '100',
+        '--json',
+        '--dry-run',
+      ],
+      { extraPulls: described }
+    );
+
+    assert.equal(code, 0, stderr);
+    const prompts = llm.requests.map(({ body }) => body.messages.at(-1).content);
+    for (const number of [41, 42, 43]) {
+      assert.ok(
+        prompts.some((prompt) => prompt.includes(`Adds report ${number}: a chart`)),
+        `the description of #${number + 10} is part of a chunk`
+      );
+    }
+  });
+
+  test('updates the open release PR and keeps its manual sections', async () => {
+    const openPR = createPR(50, {
+      state: 'open',
+      title: 'Release: Version 1.3.0',
+      body: '# Release Summary\n\nOld summary\n\n<!-- manual-start -->\nQA: passed\n<!-- manual-end -->',
+      base: { ref: 'main' },
+      head: { ref: 'staging' },
+      merged_at: null,
+    });
+
+    const { code, stderr, webUrl, requests } = await release(
+      [
+        '--repo',
+        'acme/web',
+        '--non-interactive',
+        '--include',
+        '41,42',
+        '--summary',
+        'rules',
+        '--release-version',
+        '1.3.0',
+        '--yes',
+      ],
+      { extraPulls: [openPR] }
+    );
+
+    assert.equal(code, 0, stderr);
+    assert.equal(requests.filter(({ method }) => method === 'POST').length, 0);
+
+    const updates = requests.filter(({ method }) => method === 'PATCH');
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].path, '/repos/acme/web/pulls/50');
+    assert.deepEqual(updates[0].body, {
+      title: 'Release: Version 1.3.0',
+      body: `# Release Summary
+
+### 🚀 Features
+
+- Add login (#41)
+
+### 🐛 Bug Fixes
+
+- Crash on save (#42)
+
+### Pull Requests
+
+#41 - feat: add login (by [@alice](${webUrl}/alice) on 3/1/2025)
+#42 - fix: crash on save (by [@bob](${webUrl}/bob) on 3/1/2025)
+
+<!-- manual-start -->
+QA: passed
+<!-- manual-end -->
+`,
+    });
+  });
+
+  test('fails in non-interactive mode when the pull requests are not chosen', async () => {
+    const { code, stderr, requests } = await release(['--repo', 'acme/web', '--non-interactive']);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Missing required input in non-interactive mode: .*\(use --include\)/);
+    assert.equal(requests.filter(({ method }) => method !== 'GET').length, 0);
+  });
+
+  test('fails in non-interactive mode when the AI summary fails', async () => {
+    const { code, stderr, requests } = await release(
+      [
+        '--repo',
+        'acme/web',
+        '--non-interactive',
+        '--include',
+        '41,42',
+        '--summary',
+        'ai',
+        '--release-version',
+        '1.3.0',
+        '--yes',
+      ],
+      { env: { OPENAI_BASE_URL: `${llm.url}/unavailable` } }
+    );
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Use --summary rules/);
+    assert.equal(requests.filter(({ method }) => method !== 'GET').length, 0);
+  });
+
+  test('rejects pull request numbers when releasing several repositories', async () => {
+    const { code, stderr, requests } = await release([
+      '--repos',
+      'acme/web,acme/api',
+      '--non-interactive',
+      '--include',
+      '41,42',
+    ]);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Use --include all with several repositories/);
+    assert.equal(requests.filter(({ path }) => path.includes('/pulls')).length, 0);
+  });
+
+  test('releases the repository and branches of the git checkout', async () => {
+    const { code, stdout, stderr, requests } = await release(
+      ['--include', 'all', '--summary', 'list', '--json', '--dry-run'],
+      { checkout: { branch: 'release/next', defaultBranch: 'trunk' } }
+    );
+
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /Using acme\/web from the origin remote/);
+
+    const [plan] = JSON.parse(stdout).releases;
+    assert.equal(plan.repository, 'acme/web');
+    assert.equal(plan.sourceBranch, 'release/next');
+    assert.equal(plan.targetBranch, 'trunk');
+
+    // Neither the repository picker nor the repository's default branch were needed
+    const paths = requests.map(({ path }) => path);
+    assert.equal(paths.includes('/user/repos'), false);
+    assert.equal(paths.includes('/repos/acme/web'), false);
+  });
+
+  test("asks GitHub for the default branch when the checkout doesn't know it", async () => {
+    const { code, stdout, stderr, requests } = await release(
+      ['--include', 'all', '--summary', 'list', '--json', '--dry-run'],
+      { checkout: { branch: 'main' } }
+    );
+
+    assert.equal(code, 0, stderr);
+    assert.ok(requests.some(({ path }) => path === '/repos/acme/web'));
+
+    // The default branch is checked out, so the source branch stays the default one
+    const [plan] = JSON.parse(stdout).releases;
+    assert.equal(plan.sourceBranch, 'staging');
+    assert.equal(plan.targetBranch, 'main');
+    assert.deepEqual(
+      plan.candidates.map((pr) => pr.number),
+      [41, 42, 43]
+    );
+  });
+
+  test('ignores the git checkout with --pick-repo', async () => {
+    const { code, stderr } = await release(['--pick-repo', '--non-interactive'], {
+      checkout: { branch: 'staging', defaultBranch: 'main' },
+    });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Missing required input in non-interactive mode: repository/);
+  });
+
+  test('creates a ready release PR with reviewers, labels, assignees and a new milestone', async () => {
+    const { code, stderr, requests } = await release([
+      '--repo',
+      'acme/web',
+      '--non-interactive',
+      '--include',
+      '41,42',
+      '--summary',
+      'list',
+      '--release-version',
+      '1.3.0',
+      '--yes',
+      '--no-draft',
+      '--reviewers',
+      'acme/qa,@carol',
+      '--author-reviewers',
+      '--author-checklist',
+      '--labels',
+      'release',
+      '--assignees',
+      '@me',
+      '--milestone',
+      'v{{version}}',
+    ]);
+
+    assert.equal(code, 0, stderr);
+    const writes = requests
+      .filter(({ method }) => method !== 'GET')
+      .map(({ method, path, body }) => [method, path, body]);
+
+    const [[, , created]] = writes;
+    assert.equal(created.draft, false);
+    assert.match(
+      created.body,
+      /\n\n### Please verify on staging\n\n- \[ \] @alice: #41\n- \[ \] @bob: #42$/
+    );
+
+    // alice runs the release, so she can't review it
+    assert.deepEqual(writes.slice(1), [
+      [
+        'POST',
+        '/repos/acme/web/pulls/45/requested_reviewers',
+        { reviewers: ['carol', 'bob'], team_reviewers: ['qa'] },
+      ],
+      ['POST', '/repos/acme/web/issues/45/labels', { labels: ['release'] }],
+      ['POST', '/repos/acme/web/issues/45/assignees', { assignees: ['alice'] }],
+      ['POST', '/repos/acme/web/milestones', { title: 'v1.3.0' }],
+      ['PATCH', '/repos/acme/web/issues/45', { milestone: 1 }],
+    ]);
+  });
+
+  test('keeps checked items when updating and uses the existing milestone from config', async () => {
+    const openPR = createPR(50, {
+      state: 'open',
+      draft: true,
+      title: 'Release: Version 1.3.0',
+      body: '# Release Summary\n\n### Please verify on staging\n\n- [x] @alice: #41',
+      base: { ref: 'main' },
+      head: { ref: 'staging' },
+      merged_at: null,
+    });
+
+    const { code, stderr, requests } = await release(
+      [
+        '--repo',
+        'acme/web',
+        '--non-interactive',
+        '--include',
+        '41,42',
+        '--summary',
+        'list',
+        '--release-version',
+        '1.3.0',
+        '--yes',
+      ],
+      {
+        extraPulls: [openPR],
+        config: { authorChecklist: true, labels: 'release', milestone: true },
+        fixtures: { milestones: [{ number: 7, title: '1.3.0' }] },
+      }
+    );
+
+    assert.equal(code, 0, stderr);
+    const writes = requests
+      .filter(({ method }) => method !== 'GET')
+      .map(({ method, path, body }) => [method, path, body]);
+
+    assert.equal(writes[0][1], '/repos/acme/web/pulls/50');
+    assert.match(writes[0][2].body, /- \[x\] @alice: #41\n- \[ \] @bob: #42$/);
+    assert.deepEqual(writes.slice(1), [
+      ['POST', '/repos/acme/web/issues/50/labels', { labels: ['release'] }],
+      ['PATCH', '/repos/acme/web/issues/50', { milestone: 7 }],
+    ]);
+  });
+
+  test('commits the bumped version files to the source branch before creating the PR', async () => {
+    const { code, stderr, requests } = await release(
+      [
+        '--repo',
+        'acme/web',
+        '--non-interactive',
+        '--include',
+        '41',
+        '--summary',
+        'list',
+        '--release-version',
+        '1.3.0',
+        '--yes',
+        '--version-files',
+        'package.json,version.txt',
+      ],
+      {
+        fixtures: {
+          branches: { staging: 'staging-sha' },
+          files: {
+            'package.json': '{\n    "name": "web",\n    "version": "1.2.0"\n}\n',
+            'version.txt': '1.2.0\n',
+          },
+        },
+      }
+    );
+
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /Committed package\.json, version\.txt to staging/);
+
+    // The files are read from the commit the new commit is based on
+    const reads = requests.filter(({ path }) => path.includes('/contents/'));
+    assert.deepEqual(
+      reads.map(({ query }) => query.ref),
+      ['staging-sha', 'staging-sha']
+    );
+
+    // Octokit escapes the slashes of refs
+    const writes = requests
+      .filter(({ method }) => method !== 'GET')
+      .map(({ method, path, body }) => [method, decodeURIComponent(path), body]);
+    assert.deepEqual(writes.slice(0, 3), [
+      [
+        'POST',
+        '/repos/acme/web/git/trees',
+        {
+          base_tree: 'tree-staging-sha',
+          tree: [
+            {
+              path: 'package.json',
+              mode: '100644',
+              type: 'blob',
+              content: '{\n    "name": "web",\n    "version": "1.3.0"\n}\n',
+            },
+            { path: 'version.txt', mode: '100644', type: 'blob', content: '1.3.0\n' },
+          ],
+        },
+      ],
+      [
+        'POST',
+        '/repos/acme/web/git/commits',
+        { message: 'chore(release): 1.3.0', tree: 'new-tree-sha', parents: ['staging-sha'] },
+      ],
+      ['PATCH', '/repos/acme/web/git/refs/heads/staging', { sha: 'new-commit-sha' }],
+    ]);
+    assert.equal(writes[3][1], '/repos/acme/web/pulls');
+  });
+
+  test('writes the version files to the working tree with --local', async () => {
+    const files = {};
+    const { code, stderr, requests } = await release(
+      [
+        '--non-interactive',
+        '--include',
+        '41',
+        '--summary',
+        'list',
+        '--release-version',
+        '1.3.0',
+        '--yes',
+        '--local',
+      ],
+      {
+        checkout: { branch: 'staging', defaultBranch: 'main' },
+        config: {
+          versionFiles: [
+            'version.txt',
+            {
+              path: 'build.gradle',
+              pattern: 'versionName "[^"]*"',
+              replacement: 'versionName "{{version}}"',
+            },
+          ],
+        },
+        files: {
+          'version.txt': '1.3.0\n',
+          'build.gradle': 'versionCode 12\nversionName "1.2.0"\n',
+        },
+        inspect: async (dir) => {
+          files.versionTxt = await readFile(join(dir, 'version.txt'), 'utf8');
+          files.buildGradle = await readFile(join(dir, 'build.gradle'), 'utf8');
+        },
+      }
+    );
+
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /Updated build\.gradle in the working tree/);
+    assert.deepEqual(files, {
+      versionTxt: '1.3.0\n',
+      buildGradle: 'versionCode 12\nversionName "1.3.0"\n',
+    });
+    assert.equal(
+      requests.some(({ path }) => path.includes('/git/') || path.includes('/contents/')),
+      false
+    );
+  });
+
+  test('posts the release notes to the enabled notification targets', async () => {
+    const listener = await startMockServer(() => ({ body: { ok: true } }));
+    try {
+      const { code, stderr } = await release(
+        [
+          '--repo',
+          'acme/web',
+          '--non-interactive',
+          '--include',
+          '41',
+          '--summary',
+          'list',
+          '--release-version',
+          '1.3.0',
+          '--yes',
+        ],
+        {
+          config: {
+            notifications: {
+              slack: { url: `${listener.url}/slack` },
+              teams: { url: `${listener.url}/teams`, enabled: false },
+              deploys: {
+                type: 'webhook',
+                url: `${listener.url}/deploys`,
+                headers: { authorization: 'Bearer deploy-token' },
+                template: { text: 'Released {{repository}} {{version}}', pr: '{{number}}' },
+              },
+            },
+          },
+        }
+      );
+
+      assert.equal(code, 0, stderr);
+      assert.deepEqual(
+        listener.requests.map(({ path }) => path),
+        ['/slack', '/deploys']
+      );
+
+      const [slack, deploys] = listener.requests;
+      assert.match(
+        slack.body.text,
+        /^\*<https:\/\/github\.com\/acme\/web\/pull\/45\|acme\/web 1\.3\.0>\*: release PR #45\n\n#41 - feat: add login \(by <http:\/\/[^|]+\/alice\|@alice> on 3\/1\/2025\)$/
+      );
+      assert.equal(deploys.headers.authorization, 'Bearer deploy-token');
+      assert.deepEqual(deploys.body, { text: 'Released acme/web 1.3.0', pr: 45 });
+    } finally {
+      await listener.close();
+    }
+  });
+
+  test('sends the notifications of the open release PR again with --notify-only', async () => {
+    const listener = await startMockServer(({ path }) =>
+      path === '/broken' ? { status: 500, body: { message: 'down' } } : { status: 204 }
+    );
+    const openPR = createPR(50, {
+      state: 'open',
+      title: 'Release: Version 1.3.0',
+      body: '# Release Summary\n\n### Features\n\n- Login\n\n<!-- manual-start -->\nDeploy Monday\n<!-- manual-end -->',
+      base: { ref: 'main' },
+      head: { ref: 'staging' },
+      merged_at: null,
+    });
+
+    try {
+      const { code, stdout, stderr, requests } = await release(
+        ['--repo', 'acme/web', '--notify-only', '--notify', 'discord,broken', '--json'],
+        {
+          extraPulls: [openPR],
+          config: { notifications: { broken: { type: 'webhook', url: `${listener.url}/broken` } } },
+          env: { DISCORD_WEBHOOK_URL: `${listener.url}/discord` },
+        }
+      );
+
+      assert.equal(code, 1);
+      assert.match(stderr, /Failed to notify broken: 500/);
+      assert.equal(requests.filter(({ method }) => method !== 'GET').length, 0);
+
+      const discord = listener.requests.find(({ path }) => path === '/discord');
+      assert.deepEqual(discord.body, {
+        embeds: [
+          {
+            title: 'acme/web 1.3.0',
+            url: 'https://github.com/acme/web/pull/50',
+            description: '### Features\n\n- Login\n\nDeploy Monday\n',
+          },
+        ],
+      });
+
+      const [result] = JSON.parse(stdout).releases;
+      assert.equal(result.status, 'failed');
+      assert.equal(result.releasePR.number, 50);
+      assert.deepEqual(
+        result.notifications.map(({ target, status }) => [target, status]),
+        [
+          ['discord', 'sent'],
+          ['broken', 'failed'],
+        ]
+      );
+    } finally {
+      await listener.close();
+    }
+  });
+
+  test('publishes the release PR of the version, not a newer PR with the version in its title', async () => {
+    // GitHub lists the most recently updated pull requests first
+    const bump = createPR(60, {
+      title: 'Bump axios from 1.1.0 to 1.2.0',
+      base: { ref: 'main' },
+      merged_at: '2025-03-06T00:00:00Z',
+      merge_commit_sha: 'bump-sha',
+    });
+    const { code, stdout, stderr } = await release(
+      ['publish', '1.2.0', '--repo', 'acme/web', '--dry-run'],
+      { fixtures: { pulls: [bump, ...pulls] } }
+    );
+
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /Found release PR #40: Release: Version 1\.2\.0/);
+    assert.doesNotMatch(stdout, /bump-sha/);
+  });
+
+  test('splits the release of workspace packages by the files the pull requests changed', async () => {
+    const { code, stdout, stderr } = await release(
+      ['--repo', 'acme/web', '--include', 'all', '--summary', 'list', '--json', '--dry-run'],
+      {
+        config: { packages: 'workspaces' },
+        fixtures: {
+          files: {
+            'package.json': JSON.stringify({ workspaces: ['packages/*', '!packages/legacy'] }),
+            'packages/web/package.json': JSON.stringify({ name: '@acme/web', version: '2.0.0' }),
+            'packages/api/package.json': JSON.stringify({ name: '@acme/api', version: '0.4.1' }),
+            'packages/legacy/package.json': JSON.stringify({ name: 'legacy', version: '1.0.0' }),
+          },
+          pullFiles: {
+            41: ['packages/web/src/login.js'],
+            42: ['packages/api/src/save.js', 'packages/web/src/save.js'],
+            43: ['README.md', 'packages/legacy/index.js'],
+          },
+        },
+      }
+    );
+
+    assert.equal(code, 0, stderr);
+    const [plan] = JSON.parse(stdout).releases;
+    assert.deepEqual(plan.packages, [
+      {
+        name: '@acme/web',
+        previousVersion: '2.0.0',
+        suggestedVersion: '2.1.0',
+        version: '2.1.0',
+        tag: '@acme/web@2.1.0',
+        pulls: [41, 42],
+      },
+      {
+        name: '@acme/api',
+        previousVersion: '0.4.1',
+        suggestedVersion: '0.4.2',
+        version: '0.4.2',
+        tag: '@acme/api@0.4.2',
+        pulls: [42],
+      },
+    ]);
+
+    const sections = plan.summary.split(/^(?=## )/m).map((section) => section.split('\n')[0]);
+    assert.deepEqual(sections, ['## @acme/web 2.1.0', '## @acme/api 0.4.2', '## Other changes']);
+    assert.match(plan.summary, /## Other changes\n\n.*#43 - docs: update readme/);
+  });
+
+  test('releases only the pull requests of one package with --package', async () => {
+    const { code, stdout, stderr } = await release(
+      [
+        '--repo',
+        'acme/web',
+        '--package',
+        'api',
+        '--include',
+        'all',
+        '--summary',
+        'list',
+        '--json',
+        '--dry-run',
+      ],
+      {
+        config: { packages: [{ name: 'web', path: 'packages/web' }, 'services/api'] },
+        fixtures: {
+          releases: [],
+          tags: [{ name: 'v1.2.0' }, { name: 'api@0.4.1' }],
+          commits: { 'api@0.4.1': { sha: 'api-sha', date: '2025-03-01T00:00:00Z' } },
+          pullFiles: { 41: ['packages/web/src/login.js'], 42: ['services/api/save.js'] },
+        },
+      }
+    );
+
+    assert.equal(code, 0, stderr);
+    const [plan] = JSON.parse(stdout).releases;
+    assert.equal(plan.previousRelease.tag, 'api@0.4.1');
+    assert.deepEqual(
+      plan.selected.map((pr) => pr.number),
+      [42]
+    );
+    assert.deepEqual(
+      plan.excluded.map(({ number, reason }) => [number, reason]),
+      [
+        [38, 'outside api'],
+        [41, 'outside api'],
+        [43, 'outside api'],
+      ]
+    );
+    assert.equal(plan.version, '0.4.2');
+    assert.equal(plan.releasePR.title, 'Release: api@0.4.2');
+  });
+
+  test('releases one package with --package inside a git checkout', async () => {
+    const { code, stdout, stderr } = await release(
+      ['--package', 'api', '--include', 'all', '--summary', 'list', '--json', '--dry-run'],
+      {
+        checkout: { branch: 'staging', defaultBranch: 'main' },
+        config: { packages: [{ name: 'web', path: 'packages/web' }, 'services/api'] },
+        fixtures: {
+          tags: [{ name: 'v1.2.0' }, { name: 'api@0.4.1' }],
+          commits: {
+            ...repository.commits,
+            'api@0.4.1': { sha: 'api-sha', date: '2025-03-01T00:00:00Z' },
+          },
+          pullFiles: { 42: ['services/api/save.js'] },
+        },
+      }
+    );
+
+    assert.equal(code, 0, stderr);
+    const [plan] = JSON.parse(stdout).releases;
+    assert.equal(plan.previousRelease.tag, 'api@0.4.1');
+    assert.equal(plan.version, '0.4.2');
+    assert.equal(plan.releasePR.title, 'Release: api@0.4.2');
+  });
+
+  test('rejects unknown packages', async () => {
+    const { code, stderr } = await release(
+      ['--repo', 'acme/web', '--package', 'docs', '--include', 'all', '--json'],
+      { config: { packages: ['packages/web', 'packages/api'] } }
+    );
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Unknown package "docs"\. Expected one of: web, api/);
+  });
+});
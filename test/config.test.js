@@ -0,0 +1,66 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSettings } from '../src/config.js';
+
+describe('resolveSettings', () => {
+  afterEach(() => {
+    delete process.env.CREATE_APP_RELEASE_TARGET;
+    delete process.env.CREATE_APP_RELEASE_DRAFT;
+    delete process.env.CREATE_APP_RELEASE_LABELS;
+    delete process.env.CREATE_APP_RELEASE_MILESTONE;
+  });
+
+  test('prefers flags, then environment variables, config, the git checkout and defaults', () => {
+    process.env.CREATE_APP_RELEASE_TARGET = 'production';
+    const detected = { sourceBranch: 'feature/login', targetBranch: 'trunk' };
+
+    assert.equal(resolveSettings({ target: 'release' }, {}, detected).targetBranch, 'release');
+    assert.equal(
+      resolveSettings({}, { targetBranch: 'develop' }, detected).targetBranch,
+      'production'
+    );
+    assert.equal(
+      resolveSettings({}, { sourceBranch: 'develop' }, detected).sourceBranch,
+      'develop'
+    );
+    assert.equal(resolveSettings({}, {}, detected).sourceBranch, 'feature/login');
+    assert.equal(resolveSettings({}, {}).sourceBranch, 'staging');
+  });
+
+  test('converts lists and booleans', () => {
+    process.env.CREATE_APP_RELEASE_DRAFT = 'no';
+    process.env.CREATE_APP_RELEASE_LABELS = 'release, deploy,';
+
+    const settings = resolveSettings({ reviewers: 'alice,acme/qa' }, { assignees: ['bob'] });
+    assert.equal(settings.draft, false);
+    assert.deepEqual(settings.labels, ['release', 'deploy']);
+    assert.deepEqual(settings.reviewers, ['alice', 'acme/qa']);
+    assert.deepEqual(settings.assignees, ['bob']);
+    assert.equal(settings.authorChecklist, false);
+
+    // Objects in config file lists are kept
+    const versionFile = { path: 'app.json', jsonPath: 'expo.version' };
+    assert.deepEqual(
+      resolveSettings({}, { versionFiles: [' version.txt', versionFile] }).versionFiles,
+      ['version.txt', versionFile]
+    );
+
+    // Invalid values are kept, so they can be reported
+    process.env.CREATE_APP_RELEASE_DRAFT = 'sometimes';
+    assert.equal(resolveSettings({}, {}).draft, 'sometimes');
+  });
+
+  test('converts true and false for settings that also take a string', () => {
+    process.env.CREATE_APP_RELEASE_MILESTONE = 'true';
+
+    const settings = resolveSettings({}, { changelog: 'false' });
+    assert.equal(settings.milestone, true);
+    assert.equal(settings.changelog, false);
+    assert.equal(resolveSettings({}, { changelog: 'true' }).changelog, true);
+    assert.equal(resolveSettings({ milestone: 'v{{version}}' }, {}).milestone, 'v{{version}}');
+    assert.equal(
+      resolveSettings({}, { changelog: 'docs/CHANGES.md' }).changelog,
+      'docs/CHANGES.md'
+    );
+  });
+});
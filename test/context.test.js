@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkToBudget, estimateTokens, fitToBudget } from '../src/context.js';
+
+// A large release: its details only fit the budget without descriptions and files
+const details = Array.from({ length: 400 }, (_, number) => ({
+  number,
+  title: `title number ${number}`,
+  description: `Description of pull request ${number}`,
+  files: [`src/feature-${number}.js`],
+}));
+
+describe('fitToBudget', () => {
+  test('drops descriptions and files until the details fit', () => {
+    const { details: trimmed, fits } = fitToBudget(details, 500);
+    assert.equal(fits, false);
+    assert.deepEqual(trimmed[0], { number: 0, title: 'title number 0' });
+  });
+});
+
+describe('chunkToBudget', () => {
+  test('keeps descriptions and files in chunks that fit the budget', () => {
+    const chunks = chunkToBudget(details, 500);
+
+    assert.ok(chunks.length > 1);
+    assert.deepEqual(chunks.flat(), details);
+    for (const chunk of chunks) {
+      assert.ok(estimateTokens(chunk) <= 500);
+    }
+  });
+
+  test('trims pull requests that are too large for a chunk on their own', () => {
+    const [[item]] = chunkToBudget(
+      [{ number: 1, title: 'Huge', description: 'x'.repeat(5000) }],
+      200
+    );
+    assert.equal(item.description.length, 501);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRemoteUrl } from '../src/git.js';
+
+describe('parseRemoteUrl', () => {
+  test('parses HTTPS and SSH remotes', () => {
+    const expected = { host: 'github.com', owner: 'acme', repo: 'web' };
+    assert.deepEqual(parseRemoteUrl('https://github.com/acme/web.git'), expected);
+    assert.deepEqual(parseRemoteUrl('https://token@github.com/acme/web'), expected);
+    assert.deepEqual(parseRemoteUrl('git@github.com:acme/web.git'), expected);
+    assert.deepEqual(parseRemoteUrl('ssh://git@github.com/acme/web.git'), expected);
+    assert.deepEqual(parseRemoteUrl('git://github.com/acme/web.git/'), expected);
+  });
+
+  test('parses GitHub Enterprise Server remotes', () => {
+    const expected = { host: 'ghe.example.com', owner: 'platform', repo: 'api.service' };
+    assert.deepEqual(parseRemoteUrl('https://GHE.example.com/platform/api.service.git'), expected);
+    assert.deepEqual(
+      parseRemoteUrl('ssh://git@ghe.example.com:2222/platform/api.service'),
+      expected
+    );
+    assert.deepEqual(parseRemoteUrl('git@ghe.example.com:platform/api.service.git'), expected);
+  });
+
+  test('rejects URLs without a repository', () => {
+    assert.equal(parseRemoteUrl(null), null);
+    assert.equal(parseRemoteUrl('https://github.com/acme'), null);
+    assert.equal(parseRemoteUrl('/srv/git/web.git'), null);
+  });
+});
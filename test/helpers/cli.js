@@ -0,0 +1,68 @@
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const BIN = fileURLToPath(new URL('../../bin/create-app-release', import.meta.url));
+const SCRIPTED_PROMPTS = new URL('./scripted-prompts.js', import.meta.url).href;
+
+// Time allowed for one CLI run
+const TIMEOUT = 30000;
+
+/**
+ * Run the CLI in a temporary working and home directory, isolated from the user's tokens,
+ * config and cache
+ * @param {Array<string>} args - CLI arguments
+ * @param {Object} [options] - Run options
+ * @param {Object} [options.env] - Additional environment variables
+ * @param {Array<Array>} [options.answers] - Scripted prompt answers ([name, answer] pairs);
+ *   the CLI runs non-interactively without them
+ * @param {Function} [options.prepare] - Called with the working directory before the run,
+ *   e.g. to create a git checkout in it
+ * @param {Function} [options.inspect] - Called with the working directory after the run,
+ *   e.g. to read the files written by the CLI
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ */
+export async function runCli(args, { env = {}, answers, prepare, inspect } = {}) {
+  const home = await mkdtemp(join(tmpdir(), 'create-app-release-'));
+  const nodeArgs = answers ? ['--import', SCRIPTED_PROMPTS] : [];
+
+  try {
+    await prepare?.(home);
+
+    const result = await new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [...nodeArgs, BIN, ...args], {
+        cwd: home,
+        env: {
+          PATH: process.env.PATH,
+          HOME: home,
+          XDG_CONFIG_HOME: join(home, '.config'),
+          XDG_CACHE_HOME: join(home, '.cache'),
+          GIT_CONFIG_NOSYSTEM: '1',
+          // Never pick up a git checkout around the temporary directory
+          GIT_CEILING_DIRECTORIES: tmpdir(),
+          TZ: 'UTC',
+          LC_ALL: 'en_US.UTF-8',
+          FORCE_COLOR: '0',
+          SCRIPTED_ANSWERS: JSON.stringify(answers || []),
+          ...env,
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: TIMEOUT,
+      });
+
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (chunk) => (stdout += chunk));
+      child.stderr.on('data', (chunk) => (stderr += chunk));
+      child.on('error', reject);
+      child.on('close', (code) => resolve({ code, stdout, stderr }));
+    });
+
+    await inspect?.(home);
+    return result;
+  } finally {
+    await rm(home, { recursive: true, force: true });
+  }
+}
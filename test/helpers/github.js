@@ -0,0 +1,178 @@
+import { startMockServer } from './mock-server.js';
+
+/**
+ * Create a pull request as returned by the GitHub REST API
+ * @param {number} number - Pull request number
+ * @param {Object} [overrides] - Fields to override, e.g. title or merged_at
+ * @returns {Object} Pull request
+ */
+export function createPR(number, overrides = {}) {
+  const mergedAt = overrides.merged_at === undefined ? '2025-03-02T10:00:00Z' : overrides.merged_at;
+  return {
+    id: number,
+    number,
+    state: 'closed',
+    title: `Pull request ${number}`,
+    body: '',
+    user: { login: 'alice' },
+    labels: [],
+    created_at: '2025-03-01T10:00:00Z',
+    merged_at: mergedAt,
+    updated_at: mergedAt || '2025-03-01T10:00:00Z',
+    base: { ref: 'staging' },
+    head: { ref: `feature-${number}` },
+    html_url: `https://github.com/acme/web/pull/${number}`,
+    ...overrides,
+  };
+}
+
+/**
+ * Start a stand-in for the GitHub REST API serving one repository. Like GitHub Enterprise
+ * Server, the API is served under /api/v3, so the server URL can be passed to --github-url;
+ * the recorded request paths leave out that prefix.
+ * @param {Object} [fixtures] - Repository data
+ * @param {Array<Object>} [fixtures.pulls] - Open and closed pull requests, see createPR()
+ * @param {Array<Object>} [fixtures.releases] - GitHub Releases, newest first
+ * @param {Array<Object>} [fixtures.tags] - Tags ({name})
+ * @param {Object<string, {sha: string, date: string}>} [fixtures.commits] - Commits by ref
+ * @param {Object<string, Array<number>>} [fixtures.commitPulls] - Pull request numbers
+ *   associated with a commit SHA
+ * @param {string} [fixtures.defaultBranch] - Default branch of the repository
+ * @param {Array<Object>} [fixtures.milestones] - Milestones ({number, title})
+ * @param {Object<string, string>} [fixtures.branches] - Head commit SHAs by branch name
+ * @param {Object<string, string>} [fixtures.files] - File contents by path, on every ref
+ * @param {Object<number, Array<string>>} [fixtures.pullFiles] - Paths of the files changed by
+ *   a pull request, by number
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Mock server
+ */
+export function startGitHubServer({
+  pulls = [],
+  releases = [],
+  tags = [],
+  commits = {},
+  commitPulls = {},
+  defaultBranch = 'main',
+  milestones = [],
+  branches = {},
+  files = {},
+  pullFiles = {},
+} = {}) {
+  let nextNumber = Math.max(0, ...pulls.map((pr) => pr.number)) + 1;
+  let nextMilestone = Math.max(0, ...milestones.map((milestone) => milestone.number)) + 1;
+
+  return startMockServer(
+    ({ method, path, query, body }) => {
+      if (method === 'GET' && path === '/rate_limit') return { body: { resources: {} } };
+      if (method === 'GET' && path === '/user') return { body: { login: 'alice' } };
+
+      const match = /^\/repos\/([^/]+)\/([^/]+)(?:\/(.+))?$/.exec(path);
+      if (!match) return undefined;
+      const [, owner, repo, resource] = match;
+      const htmlUrl = (number) => `https://github.com/${owner}/${repo}/pull/${number}`;
+
+      if (method === 'GET' && !resource) {
+        return { body: { full_name: `${owner}/${repo}`, default_branch: defaultBranch } };
+      }
+
+      if (method === 'GET' && resource === 'releases') return { body: releases };
+      if (method === 'GET' && resource === 'tags') return { body: tags };
+
+      const commitPullsMatch = /^commits\/([^/]+)\/pulls$/.exec(resource);
+      if (method === 'GET' && commitPullsMatch) {
+        const numbers = commitPulls[commitPullsMatch[1]] || [];
+        return { body: pulls.filter((pr) => numbers.includes(pr.number)) };
+      }
+
+      const commitMatch = /^commits\/([^/]+)$/.exec(resource);
+      if (method === 'GET' && commitMatch) {
+        const commit = commits[decodeURIComponent(commitMatch[1])];
+        if (!commit) return { status: 422, body: { message: 'No commit found' } };
+        return { body: { sha: commit.sha, commit: { committer: { date: commit.date } } } };
+      }
+
+      if (method === 'GET' && resource === 'pulls') {
+        return {
+          body: pulls.filter(
+            (pr) =>
+              (query.state === 'all' || pr.state === (query.state || 'open')) &&
+              (!query.base || pr.base.ref === query.base) &&
+              (!query.head || `${owner}:${pr.head.ref}` === query.head)
+          ),
+        };
+      }
+
+      const pullMatch = /^pulls\/(\d+)$/.exec(resource);
+      if (method === 'GET' && pullMatch) {
+        const pr = pulls.find((item) => item.number === Number(pullMatch[1]));
+        return pr && { body: pr };
+      }
+      if (method === 'PATCH' && pullMatch) {
+        const number = Number(pullMatch[1]);
+        return { body: { number, html_url: htmlUrl(number), ...body } };
+      }
+
+      if (method === 'POST' && resource === 'pulls') {
+        const number = nextNumber++;
+        return { status: 201, body: { number, html_url: htmlUrl(number), ...body } };
+      }
+
+      // Reviewers, labels, assignees and milestones of pull requests
+      const number = Number((/^(?:pulls|issues)\/(\d+)\//.exec(resource) || [])[1]);
+      if (method === 'GET' && resource === `pulls/${number}/files`) {
+        const paths = pullFiles[number] || [];
+        return { body: paths.map((filename) => ({ filename, additions: 1, deletions: 0 })) };
+      }
+      if (method === 'POST' && resource === `pulls/${number}/requested_reviewers`) {
+        return { status: 201, body: { number } };
+      }
+      if (method === 'POST' && resource === `issues/${number}/labels`) {
+        return { body: body.labels.map((name) => ({ name })) };
+      }
+      if (method === 'POST' && resource === `issues/${number}/assignees`) {
+        return { status: 201, body: { number } };
+      }
+      if (method === 'PATCH' && /^issues\/\d+$/.test(resource)) {
+        return { body: { number: Number(resource.split('/')[1]), ...body } };
+      }
+      if (method === 'GET' && resource === 'milestones') return { body: milestones };
+      if (method === 'POST' && resource === 'milestones') {
+        return { status: 201, body: { number: nextMilestone++, ...body } };
+      }
+
+      // Files and the Git Data API
+      const contentsMatch = /^contents\/(.+)$/.exec(resource);
+      if (method === 'GET' && contentsMatch) {
+        const filePath = decodeURIComponent(contentsMatch[1]);
+        if (files[filePath] === undefined) return undefined;
+        const content = Buffer.from(files[filePath]).toString('base64');
+        return { body: { type: 'file', path: filePath, sha: `blob-${filePath}`, content } };
+      }
+      const refMatch = /^git\/refs?\/heads\/(.+)$/.exec(decodeURIComponent(resource));
+      if (method === 'GET' && refMatch) {
+        const sha = branches[refMatch[1]];
+        return sha && { body: { ref: `refs/heads/${refMatch[1]}`, object: { sha } } };
+      }
+      if (method === 'PATCH' && refMatch) {
+        return { body: { ref: `refs/heads/${refMatch[1]}`, object: { sha: body.sha } } };
+      }
+      const gitCommitMatch = /^git\/commits\/([^/]+)$/.exec(resource);
+      if (method === 'GET' && gitCommitMatch) {
+        const sha = gitCommitMatch[1];
+        return { body: { sha, tree: { sha: `tree-${sha}` } } };
+      }
+      if (method === 'GET' && /^git\/trees\/[^/]+$/.test(resource)) {
+        const tree = Object.keys(files).map((filePath) => ({ path: filePath, type: 'blob' }));
+        return { body: { sha: resource.split('/')[2], tree, truncated: false } };
+      }
+      if (method === 'POST' && resource === 'git/trees') {
+        return { status: 201, body: { sha: 'new-tree-sha' } };
+      }
+      if (method === 'POST' && resource === 'git/commits') {
+        return { status: 201, body: { sha: 'new-commit-sha', ...body } };
+      }
+
+      return undefined;
+    },
+    { basePath: '/api/v3' }
+  );
+}
@@ -0,0 +1,25 @@
+import { startMockServer } from './mock-server.js';
+
+/**
+ * Start a stand-in for an OpenAI-compatible chat completions API
+ * @param {string|Function} content - Generated text, or a function returning it for a request
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Mock server;
+ *   use `${url}/v1` as the OpenAI base URL
+ */
+export function startLLMServer(content) {
+  return startMockServer((request) => {
+    if (request.method !== 'POST' || request.path !== '/v1/chat/completions') return undefined;
+
+    const text = typeof content === 'function' ? content(request) : content;
+    return {
+      body: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: request.body.model,
+        choices: [
+          { index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' },
+        ],
+      },
+    };
+  });
+}
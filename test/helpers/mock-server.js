@@ -0,0 +1,50 @@
+import { createServer } from 'http';
+
+/**
+ * Start a local JSON API server on a random port
+ * @param {Function} handler - Called with the request ({method, path, query, headers, body});
+ *   returns the response ({status, headers, body}), or undefined for a 404
+ * @param {Object} [options] - Server options
+ * @param {string} [options.basePath] - Prefix removed from the request paths, e.g. /api/v3
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Server URL,
+ *   the requests received so far and a function to stop the server
+ */
+export async function startMockServer(handler, { basePath = '' } = {}) {
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname.startsWith(basePath)
+          ? url.pathname.slice(basePath.length)
+          : url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: data ? JSON.parse(data) : undefined,
+      };
+      requests.push(request);
+
+      const response = (await handler(request)) || {
+        status: 404,
+        body: { message: 'Not Found' },
+      };
+      res.writeHead(response.status || 200, {
+        'content-type': 'application/json',
+        ...response.headers,
+      });
+      res.end(response.body === undefined ? '' : JSON.stringify(response.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,48 @@
+// Preloaded into the CLI with --import by runCli(). Fakes a TTY so the CLI runs interactively
+// and answers the inquirer prompts from SCRIPTED_ANSWERS, a JSON list of [name, answer] pairs
+// in the order the prompts are expected. Checkbox prompts are answered with the values of the
+// choices to check, using the number for pull requests.
+import inquirer from 'inquirer';
+
+const script = JSON.parse(process.env.SCRIPTED_ANSWERS || '[]');
+
+process.stdin.isTTY = true;
+process.stdin.setRawMode = () => process.stdin;
+
+inquirer.prompt = async (questions, provided = {}) => {
+  const answers = { ...provided };
+
+  for (const question of questions) {
+    if (question.name in answers) continue;
+
+    const [name, value] = script.shift() || [];
+    if (name !== question.name) {
+      throw new Error(
+        `Unexpected prompt "${question.name}" (${question.message}), expected ${name ? `"${name}"` : 'no more prompts'}`
+      );
+    }
+
+    let answer = value;
+    if (question.type === 'checkbox') {
+      answer = question.choices
+        .filter((choice) => value.includes(choice.value?.number ?? choice.value))
+        .map((choice) => choice.value);
+    }
+
+    if (question.validate) {
+      const result = await question.validate(answer);
+      if (result !== true) {
+        throw new Error(`Invalid answer for "${question.name}": ${result}`);
+      }
+    }
+    answers[question.name] = answer;
+  }
+
+  return answers;
+};
+
+process.on('exit', () => {
+  if (script.length > 0) {
+    console.error(`Unused scripted answers: ${JSON.stringify(script)}`);
+  }
+});
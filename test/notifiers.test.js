@@ -0,0 +1,110 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatNotification, resolveNotifiers, toSlackMrkdwn } from '../src/notifiers.js';
+
+const message = {
+  repository: 'acme/web',
+  version: '1.3.0',
+  tag: 'v1.3.0',
+  title: 'Release: Version 1.3.0',
+  number: 45,
+  url: 'https://github.com/acme/web/pull/45',
+  summary: '### 🚀 Features\n\n- **Login** with [SSO](https://example.com/sso)',
+  prs: [{ number: 41 }, { number: 42 }],
+};
+
+describe('resolveNotifiers', () => {
+  const notifications = {
+    slack: { url: 'https://hooks.slack.com/services/T0/B0/x' },
+    teams: { enabled: false },
+    deploys: { type: 'webhook', url: 'https://deploy.example.com/hook' },
+  };
+  const env = { TEAMS_WEBHOOK_URL: 'https://example.webhook.office.com/x' };
+
+  test('selects the enabled targets, or the targets named by --notify', () => {
+    const names = (notify) => resolveNotifiers(notifications, notify, env).map(({ name }) => name);
+
+    assert.deepEqual(names(undefined), ['slack', 'deploys']);
+    assert.deepEqual(names('teams, deploys'), ['teams', 'deploys']);
+    assert.deepEqual(names(false), []);
+  });
+
+  test('reads webhook URLs of built-in types from the environment', () => {
+    const [discord] = resolveNotifiers({}, ['discord'], {
+      DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/x',
+    });
+    assert.deepEqual(discord, {
+      name: 'discord',
+      type: 'discord',
+      url: 'https://discord.com/api/webhooks/1/x',
+      headers: {},
+      template: undefined,
+    });
+  });
+
+  test('rejects unknown targets and missing URLs', () => {
+    assert.throws(() => resolveNotifiers({}, 'pager', {}), /Unknown notification target "pager"/);
+    assert.throws(
+      () => resolveNotifiers({ chat: { type: 'irc', url: 'https://x' } }, undefined, {}),
+      /chat: unknown type "irc"/
+    );
+    assert.throws(
+      () => resolveNotifiers({}, 'slack', {}),
+      /slack: missing webhook URL.*SLACK_WEBHOOK_URL/
+    );
+    assert.throws(
+      () => resolveNotifiers({ slack: { url: 'https://x', template: {} } }, undefined, {}),
+      /only webhook targets have a payload template/
+    );
+  });
+});
+
+describe('toSlackMrkdwn', () => {
+  test('converts headings, lists, emphasis and links', () => {
+    assert.equal(
+      toSlackMrkdwn('## **Bug Fixes**\n- Fix *crash* & __save__\n* See [docs](https://x.io/a?b=1)'),
+      '*Bug Fixes*\n• Fix _crash_ &amp; *save*\n• See <https://x.io/a?b=1|docs>'
+    );
+  });
+});
+
+describe('formatNotification', () => {
+  test('formats Teams cards without headings', () => {
+    const { attachments } = formatNotification({ type: 'teams' }, message);
+    const [headline, summary] = attachments[0].content.body;
+
+    assert.equal(headline.text, 'acme/web 1.3.0');
+    assert.equal(
+      summary.text,
+      '**🚀 Features**\n\n- **Login** with [SSO](https://example.com/sso)'
+    );
+    assert.deepEqual(attachments[0].content.actions, [
+      { type: 'Action.OpenUrl', title: 'View release PR #45', url: message.url },
+    ]);
+  });
+
+  test('renders webhook payload templates, keeping the type of single variables', () => {
+    const template = {
+      event: 'release',
+      text: '{{repository}} {{tag}}',
+      prs: '{{prs}}',
+      pr: ['{{number}}'],
+    };
+    assert.deepEqual(formatNotification({ type: 'webhook', template }, message), {
+      event: 'release',
+      text: 'acme/web v1.3.0',
+      prs: [{ number: 41 }, { number: 42 }],
+      pr: [45],
+    });
+
+    assert.deepEqual(formatNotification({ type: 'webhook' }, message), {
+      repository: 'acme/web',
+      version: '1.3.0',
+      tag: 'v1.3.0',
+      title: 'Release: Version 1.3.0',
+      number: 45,
+      url: message.url,
+      summary: message.summary,
+    });
+  });
+});
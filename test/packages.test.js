@@ -0,0 +1,119 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  attributePullRequests,
+  findWorkspaceDirectories,
+  formatPackageSections,
+  globToRegExp,
+  normalizePackages,
+  parsePackageSections,
+  parseWorkspacePatterns,
+} from '../src/packages.js';
+
+describe('normalizePackages', () => {
+  test('names packages after their path and tags them by default', () => {
+    assert.deepEqual(
+      normalizePackages([
+        './packages/web/',
+        { name: '@acme/api', paths: ['services/api', 'shared/api-*'], tag: false },
+      ]),
+      [
+        { name: 'web', paths: ['packages/web'], tag: true },
+        { name: '@acme/api', paths: ['services/api', 'shared/api-*'], tag: false },
+      ]
+    );
+  });
+
+  test('rejects packages without a path and duplicate names', () => {
+    assert.throws(() => normalizePackages([{ name: 'web' }]), /Packages need a path/);
+    assert.throws(
+      () => normalizePackages(['apps/web', 'packages/web']),
+      /Package "web" is defined more than once/
+    );
+    assert.throws(() => normalizePackages('apps/*'), /must be a list of packages/);
+  });
+});
+
+describe('globToRegExp', () => {
+  test('matches the path and the files under it', () => {
+    const pattern = globToRegExp('packages/*');
+    assert.ok(pattern.test('packages/web'));
+    assert.ok(pattern.test('packages/web/src/index.js'));
+    assert.ok(!pattern.test('packages-old/web'));
+
+    assert.ok(globToRegExp('apps/**/server').test('apps/web/server/index.js'));
+    assert.ok(globToRegExp('apps/**/server').test('apps/server/index.js'));
+  });
+});
+
+describe('attributePullRequests', () => {
+  test('attributes pull requests to every package whose files they changed', () => {
+    const packages = normalizePackages(['packages/web', 'packages/api']);
+    const pulls = [{ number: 1 }, { number: 2 }, { number: 3 }];
+    const files = new Map([
+      [1, ['packages/web/index.js']],
+      [2, ['packages/web/a.js', 'packages/api/b.js']],
+      [3, ['README.md']],
+    ]);
+
+    const { byPackage, other } = attributePullRequests(pulls, packages, files);
+    assert.deepEqual(
+      byPackage.get('web').map((pr) => pr.number),
+      [1, 2]
+    );
+    assert.deepEqual(
+      byPackage.get('api').map((pr) => pr.number),
+      [2]
+    );
+    assert.deepEqual(
+      other.map((pr) => pr.number),
+      [3]
+    );
+  });
+});
+
+describe('workspaces', () => {
+  test('reads npm and pnpm workspace globs', () => {
+    assert.deepEqual(parseWorkspacePatterns({ workspaces: ['./packages/*/'] }, null), [
+      'packages/*',
+    ]);
+    assert.deepEqual(parseWorkspacePatterns({ workspaces: { packages: ['apps/*'] } }, null), [
+      'apps/*',
+    ]);
+    assert.deepEqual(
+      parseWorkspacePatterns(
+        null,
+        'packages:\n  - \'packages/*\'\n  - "!packages/legacy" # old\ncatalog:\n  - react\n'
+      ),
+      ['packages/*', '!packages/legacy']
+    );
+  });
+
+  test('finds the workspace directories, without the excluded ones', () => {
+    assert.deepEqual(
+      findWorkspaceDirectories(
+        ['packages/*', '!packages/legacy'],
+        ['packages/web', 'packages/legacy', 'packages/web/fixtures/app', 'tools/lint']
+      ),
+      ['packages/web']
+    );
+  });
+});
+
+describe('package sections', () => {
+  test('formats and parses a section per package', () => {
+    const notes = formatPackageSections([
+      { name: '@acme/web', version: '2.1.0', summary: '- Login' },
+      { name: 'Other changes', summary: '- Docs' },
+    ]);
+    assert.equal(notes, '## @acme/web 2.1.0\n\n- Login\n\n## Other changes\n\n- Docs');
+
+    const packages = normalizePackages([
+      { name: '@acme/web', path: 'packages/web' },
+      { name: '@acme/api', path: 'packages/api' },
+    ]);
+    assert.deepEqual(parsePackageSections(notes, packages), [
+      { name: '@acme/web', version: '2.1.0' },
+    ]);
+  });
+});
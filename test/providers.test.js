@@ -0,0 +1,142 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderError, createProvider } from '../src/providers.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+// Responses of the API stand-in by request path; a path without a response is a 404
+let responses = {};
+let server;
+
+before(async () => {
+  server = await startMockServer(({ path }) => responses[path]);
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  responses = {};
+  server.requests.length = 0;
+});
+
+/**
+ * Create a provider for the API stand-in, complete a prompt and return the recorded request
+ * @param {string} provider - Provider key
+ * @param {Object} [options] - Provider options, see createProvider()
+ * @returns {Promise<{text: string, request: Object}>} Generated text and the request sent
+ */
+async function complete(provider, options = {}) {
+  const llm = createProvider(provider, { apiKey: 'key-test', baseUrl: server.url, ...options });
+  const text = await llm.complete('Summarize #41', { temperature: 0.7 });
+  return { text, request: server.requests.at(-1) };
+}
+
+describe('createProvider', () => {
+  test('sends OpenAI chat completions with a bearer token', async () => {
+    responses['/v1/chat/completions'] = {
+      body: { choices: [{ index: 0, message: { role: 'assistant', content: 'Notes' } }] },
+    };
+
+    const { text, request } = await complete('openai', { baseUrl: `${server.url}/v1` });
+    assert.equal(text, 'Notes');
+    assert.equal(request.headers.authorization, 'Bearer key-test');
+    assert.deepEqual(request.body, {
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: 'Summarize #41' }],
+      temperature: 0.7,
+    });
+  });
+
+  test('sends Azure OpenAI requests to the deployment with the api-key header', async () => {
+    responses['/openai/deployments/release-notes/chat/completions'] = {
+      body: { choices: [{ index: 0, message: { role: 'assistant', content: 'Notes' } }] },
+    };
+
+    const { text, request } = await complete('azure', {
+      model: 'release-notes',
+      apiVersion: '2024-06-01',
+    });
+    assert.equal(text, 'Notes');
+    assert.equal(request.query['api-version'], '2024-06-01');
+    assert.equal(request.headers['api-key'], 'key-test');
+    assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Summarize #41' }]);
+  });
+
+  test('sends Anthropic messages and joins the text blocks', async () => {
+    responses['/v1/messages'] = {
+      body: {
+        content: [
+          { type: 'text', text: '### Features\n' },
+          { type: 'tool_use', id: 'tool' },
+          { type: 'text', text: '- Login' },
+        ],
+      },
+    };
+
+    const { text, request } = await complete('anthropic', { baseUrl: `${server.url}/` });
+    assert.equal(text, '### Features\n- Login');
+    assert.equal(request.headers['x-api-key'], 'key-test');
+    assert.equal(request.headers['anthropic-version'], '2023-06-01');
+    assert.deepEqual(request.body, {
+      model: 'claude-3-5-sonnet-latest',
+      max_tokens: 4096,
+      temperature: 0.7,
+      messages: [{ role: 'user', content: 'Summarize #41' }],
+    });
+  });
+
+  test('sends Ollama chat requests without streaming or a token', async () => {
+    responses['/api/chat'] = { body: { message: { role: 'assistant', content: 'Notes' } } };
+
+    const { text, request } = await complete('ollama', { apiKey: undefined });
+    assert.equal(text, 'Notes');
+    assert.equal(request.headers.authorization, undefined);
+    assert.deepEqual(request.body, {
+      model: 'llama3.1',
+      messages: [{ role: 'user', content: 'Summarize #41' }],
+      stream: false,
+      options: { temperature: 0.7 },
+    });
+  });
+
+  test('fails when a response has no generated text', async () => {
+    responses['/v1/chat/completions'] = { body: { choices: [] } };
+    responses['/v1/messages'] = { body: { content: [] } };
+    responses['/api/chat'] = { body: { message: { content: '' } } };
+
+    await assert.rejects(complete('openai', { baseUrl: `${server.url}/v1` }), {
+      name: 'ProviderError',
+      message: /^OpenAI: Invalid API response structure\. Expected response\.choices/,
+    });
+    await assert.rejects(complete('anthropic'), {
+      message: 'Anthropic: Invalid API response structure. Expected response.content[].text',
+    });
+    await assert.rejects(complete('ollama'), {
+      message: 'Ollama: Invalid API response structure. Expected response.message.content',
+    });
+  });
+
+  test('reports API errors with their status', async () => {
+    responses['/v1/messages'] = {
+      status: 401,
+      body: {
+        type: 'error',
+        error: { type: 'authentication_error', message: 'invalid x-api-key' },
+      },
+    };
+
+    await assert.rejects(complete('anthropic'), (error) => {
+      assert.ok(error instanceof ProviderError);
+      assert.equal(error.status, 401);
+      assert.equal(error.message, 'Anthropic: 401 invalid x-api-key');
+      return true;
+    });
+  });
+
+  test('rejects unknown providers and Azure OpenAI without a deployment', () => {
+    assert.throws(
+      () => createProvider('azure', { apiKey: 'key-test' }),
+      /Azure OpenAI requires an endpoint and a deployment name/
+    );
+    assert.throws(() => createProvider('mistral'), /Unknown provider "mistral"/);
+  });
+});
@@ -0,0 +1,245 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGitHubClient } from '../src/github.js';
+import {
+  extractPRNumberFromCommitMessage,
+  extractPRNumbersFromDescription,
+  fetchPullRequests,
+  findLatestMergedReleasePR,
+  findPreviousRelease,
+  getReleaseTitlePattern,
+  getReleaseTitleVersion,
+  resolveSince,
+} from '../src/pulls.js';
+import { createPR, startGitHubServer } from './helpers/github.js';
+
+const release = { owner: 'acme', repo: 'web', targetBranch: 'main', tagPrefix: 'v' };
+const titleFormat = 'Release: Version {{version}}';
+
+let server;
+
+/**
+ * Start a GitHub stand-in and create a client for it
+ * @param {Object} fixtures - Repository data, see startGitHubServer()
+ * @returns {Promise<Object>} GitHub client
+ */
+async function connect(fixtures) {
+  server = await startGitHubServer(fixtures);
+  return createGitHubClient({ auth: 'ghp_test', baseUrl: `${server.url}/api/v3`, cache: false });
+}
+
+afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+describe('release PR titles', () => {
+  test('match the title format and capture the version', () => {
+    const pattern = getReleaseTitlePattern(titleFormat, 'v');
+    assert.equal(getReleaseTitleVersion('Release: Version 1.2.0', pattern), '1.2.0');
+    assert.equal(getReleaseTitleVersion('release: version 2.0.0-rc.1', pattern), '2.0.0-rc.1');
+    assert.equal(getReleaseTitleVersion('Bump lodash from 4.17.20 to 4.17.21', pattern), null);
+  });
+
+  test('match tags and other variables', () => {
+    const pattern = getReleaseTitlePattern('{{repo}}: release {{tag}}', 'v');
+    assert.equal(getReleaseTitleVersion('web: release v3.1.0', pattern), '3.1.0');
+    assert.equal(getReleaseTitleVersion('web: release 3.1.0', pattern), null);
+  });
+});
+
+describe('pull request numbers', () => {
+  test('are extracted from release PR descriptions', () => {
+    const description = '#12 - Add login\n- Fix crash (#14)\nPR: 15';
+    assert.deepEqual(extractPRNumbersFromDescription(description), new Set([12, 14, 15]));
+    assert.deepEqual(extractPRNumbersFromDescription(null), new Set());
+  });
+
+  test('are extracted from merge and squash commit messages', () => {
+    assert.equal(extractPRNumberFromCommitMessage('Merge pull request #7 from acme/login'), 7);
+    assert.equal(extractPRNumberFromCommitMessage('Add login (#8)\n\nDetails'), 8);
+    assert.equal(extractPRNumberFromCommitMessage('Add login'), null);
+  });
+});
+
+describe('findLatestMergedReleasePR', () => {
+  test('finds the release PR of a version, ignoring other titles with the version', async () => {
+    const octokit = await connect({
+      pulls: [
+        createPR(22, {
+          title: 'Bump axios from 1.1.0 to 1.2.0',
+          base: { ref: 'main' },
+          merged_at: '2025-03-06T00:00:00Z',
+        }),
+        createPR(21, {
+          title: 'Release: Version 1.3.0',
+          base: { ref: 'main' },
+          merged_at: '2025-03-05T00:00:00Z',
+        }),
+        createPR(20, {
+          title: 'Release: Version 1.2.0',
+          base: { ref: 'main' },
+          merged_at: '2025-03-01T00:00:00Z',
+        }),
+      ],
+    });
+    const pattern = getReleaseTitlePattern(titleFormat, 'v');
+    const find = (version) =>
+      findLatestMergedReleasePR(octokit, 'acme', 'web', 'main', pattern, version);
+
+    assert.equal((await find('1.2.0')).number, 20);
+    assert.equal((await find()).number, 21);
+    assert.equal(await find('1.4.0'), null);
+  });
+});
+
+describe('findPreviousRelease', () => {
+  const releasePR = createPR(20, {
+    title: 'Release: Version 1.2.0',
+    body: '#18 - Add login\n#19 - Fix crash',
+    base: { ref: 'main' },
+    merged_at: '2025-03-01T00:00:00Z',
+  });
+
+  test('uses the latest GitHub Release and the release PR merged by its commit', async () => {
+    const octokit = await connect({
+      pulls: [releasePR],
+      releases: [
+        { tag_name: 'v1.3.0-draft', draft: true },
+        { tag_name: 'v1.2.0', draft: false },
+      ],
+      commits: { 'v1.2.0': { sha: 'abc123', date: '2025-03-01T00:00:05Z' } },
+      commitPulls: { abc123: [20] },
+    });
+
+    const previous = await findPreviousRelease(octokit, { ...release, titleFormat });
+    assert.equal(previous.source, 'release');
+    assert.equal(previous.version, '1.2.0');
+    assert.equal(previous.date, '2025-03-01T00:00:05Z');
+    assert.equal(previous.pullRequest.number, 20);
+    assert.deepEqual(previous.includedNumbers, new Set([18, 19]));
+  });
+
+  test('falls back to the highest version tag', async () => {
+    const octokit = await connect({
+      tags: [
+        { name: 'v1.9.0' },
+        { name: 'v1.10.0' },
+        { name: 'nightly' },
+        { name: 'v1.10.0-rc.1' },
+      ],
+      commits: { 'v1.10.0': { sha: 'def456', date: '2025-02-01T00:00:00Z' } },
+    });
+
+    const previous = await findPreviousRelease(octokit, { ...release, titleFormat });
+    assert.deepEqual(previous, {
+      version: '1.10.0',
+      tag: 'v1.10.0',
+      date: '2025-02-01T00:00:00Z',
+      source: 'tag',
+      pullRequest: null,
+      includedNumbers: new Set(),
+    });
+  });
+
+  test('only uses the tags of a package for its tag prefix', async () => {
+    const octokit = await connect({
+      tags: [{ name: '2.0.0' }, { name: 'v1.9.0' }, { name: 'api@0.4.1' }, { name: 'web@3.0.0' }],
+      commits: {
+        '2.0.0': { sha: 'root-sha', date: '2025-03-01T00:00:00Z' },
+        'api@0.4.1': { sha: 'api-sha', date: '2025-02-01T00:00:00Z' },
+      },
+    });
+
+    const root = await findPreviousRelease(octokit, { ...release, titleFormat });
+    assert.equal(root.tag, '2.0.0');
+
+    const api = await findPreviousRelease(octokit, { ...release, tagPrefix: 'api@', titleFormat });
+    assert.equal(api.tag, 'api@0.4.1');
+    assert.equal(api.version, '0.4.1');
+  });
+
+  test('falls back to the latest merged release PR', async () => {
+    const octokit = await connect({
+      pulls: [
+        createPR(21, {
+          title: 'Bump lodash from 4.17.20 to 4.17.21',
+          base: { ref: 'main' },
+          merged_at: '2025-03-05T00:00:00Z',
+        }),
+        releasePR,
+        createPR(10, {
+          title: 'Release: Version 1.1.0',
+          base: { ref: 'main' },
+          merged_at: '2025-01-15T00:00:00Z',
+        }),
+      ],
+    });
+
+    const previous = await findPreviousRelease(octokit, { ...release, titleFormat });
+    assert.equal(previous.source, 'releasePR');
+    assert.equal(previous.tag, 'v1.2.0');
+    assert.equal(previous.date, '2025-03-01T00:00:00Z');
+    assert.equal(previous.pullRequest.number, 20);
+  });
+
+  test('finds nothing in a repository without releases', async () => {
+    const octokit = await connect({});
+    const previous = await findPreviousRelease(octokit, { ...release, titleFormat });
+    assert.equal(previous.source, null);
+    assert.equal(previous.version, null);
+  });
+});
+
+describe('resolveSince', () => {
+  test('resolves dates, and refs by their commit date', async () => {
+    const octokit = await connect({
+      commits: { abc123: { sha: 'abc123', date: '2025-01-05T08:00:00Z' } },
+    });
+
+    assert.equal(
+      await resolveSince(octokit, 'acme', 'web', '2025-01-01'),
+      '2025-01-01T00:00:00.000Z'
+    );
+    assert.equal(await resolveSince(octokit, 'acme', 'web', 'abc123'), '2025-01-05T08:00:00Z');
+    await assert.rejects(resolveSince(octokit, 'acme', 'web', 'unknown'), {
+      message: '--since "unknown" is not a date, tag or commit of acme/web',
+    });
+  });
+});
+
+describe('fetchPullRequests', () => {
+  test('returns pull requests merged since the previous release', async () => {
+    const octokit = await connect({
+      pulls: [
+        createPR(30, { merged_at: '2025-03-04T00:00:00Z' }),
+        createPR(29, { merged_at: null }),
+        createPR(28, { merged_at: '2025-03-02T00:00:00Z' }),
+        createPR(27, { merged_at: '2025-03-02T00:00:00Z', base: { ref: 'develop' } }),
+        createPR(26, { merged_at: '2025-02-20T00:00:00Z' }),
+      ],
+    });
+    const previousRelease = {
+      date: '2025-03-01T00:00:00Z',
+      pullRequest: { id: 25, number: 25 },
+      includedNumbers: new Set([28]),
+    };
+
+    const { pulls, excluded } = await fetchPullRequests(
+      octokit,
+      'acme',
+      'web',
+      'staging',
+      previousRelease
+    );
+    assert.deepEqual(
+      pulls.map((pr) => pr.number),
+      [30]
+    );
+    assert.deepEqual(
+      excluded.map(({ pr, reason }) => [pr.number, reason]),
+      [[28, 'included in release PR #25']]
+    );
+    assert.equal(server.requests.at(-1).query.base, 'staging');
+  });
+});
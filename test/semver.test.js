@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compareVersions,
+  determineBump,
+  incrementVersion,
+  isValidVersion,
+  suggestVersion,
+} from '../src/semver.js';
+
+describe('isValidVersion', () => {
+  test('accepts SemVer versions without a "v" prefix', () => {
+    assert.equal(isValidVersion('1.2.3'), true);
+    assert.equal(isValidVersion('1.2.3-rc.1+build.5'), true);
+    assert.equal(isValidVersion('v1.2.3'), false);
+    assert.equal(isValidVersion('1.2'), false);
+  });
+});
+
+describe('compareVersions', () => {
+  test('orders versions by precedence', () => {
+    const versions = ['1.10.0', '2.0.0', '1.2.0', '2.0.0-rc.1', '2.0.0-beta.2', '2.0.0-beta.10'];
+    assert.deepEqual(versions.sort(compareVersions), [
+      '1.2.0',
+      '1.10.0',
+      '2.0.0-beta.2',
+      '2.0.0-beta.10',
+      '2.0.0-rc.1',
+      '2.0.0',
+    ]);
+  });
+
+  test('ignores build metadata', () => {
+    assert.equal(compareVersions('1.0.0+build.1', '1.0.0+build.2'), 0);
+  });
+});
+
+describe('incrementVersion', () => {
+  test('bumps releases', () => {
+    assert.equal(incrementVersion('1.2.3', 'major'), '2.0.0');
+    assert.equal(incrementVersion('1.2.3', 'minor'), '1.3.0');
+    assert.equal(incrementVersion('1.2.3', 'patch'), '1.2.4');
+  });
+
+  test('starts and continues prereleases', () => {
+    assert.equal(incrementVersion('1.2.0', 'minor', 'beta'), '1.3.0-beta.0');
+    assert.equal(incrementVersion('1.3.0-beta.0', 'minor', 'beta'), '1.3.0-beta.1');
+    assert.equal(incrementVersion('1.3.0-beta.1', 'minor'), '1.3.0');
+  });
+
+  test('rejects invalid versions', () => {
+    assert.throws(() => incrementVersion('next', 'patch'), /Invalid version: next/);
+  });
+});
+
+describe('suggestVersion', () => {
+  test('suggests 1.0.0 for a first release', () => {
+    assert.deepEqual(suggestVersion(null, []), {
+      version: '1.0.0',
+      bump: 'major',
+      reason: 'first release',
+    });
+  });
+
+  test('bumps by the most significant change', () => {
+    const fix = { number: 1, title: 'fix: crash on save', labels: [] };
+    const feature = { number: 2, title: 'Add login', labels: [{ name: 'enhancement' }] };
+    const breaking = { number: 3, title: 'refactor!: drop Node 16', labels: [] };
+
+    assert.equal(suggestVersion('1.2.3', [fix]).version, '1.2.4');
+    assert.equal(suggestVersion('1.2.3', [fix, feature]).version, '1.3.0');
+    assert.deepEqual(determineBump([fix, feature, breaking]), {
+      bump: 'major',
+      reason: 'breaking change in #3',
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  carryOverCheckedItems,
+  formatPRList,
+  formatRuleSummary,
+  formatVerificationChecklist,
+  removeVerificationChecklist,
+} from '../src/summary.js';
+
+const WEB_URL = 'https://github.com';
+
+const pulls = [
+  {
+    number: 12,
+    title: 'feat(auth): add login',
+    user: { login: 'alice' },
+    labels: [],
+    created_at: '2025-03-01T10:00:00Z',
+  },
+  {
+    number: 13,
+    title: 'Bump lodash from 4.17.20 to 4.17.21',
+    user: { login: 'dependabot[bot]' },
+    labels: [{ name: 'skip-changelog' }],
+    created_at: '2025-03-02T10:00:00Z',
+  },
+  {
+    number: 14,
+    title: 'Fix crash on save',
+    user: { login: 'bob' },
+    labels: [{ name: 'bug' }],
+    created_at: '2025-03-03T10:00:00Z',
+  },
+];
+
+describe('formatPRList', () => {
+  test('lists pull requests with their author', () => {
+    const date = new Date('2025-03-01T10:00:00Z').toLocaleDateString();
+    assert.equal(
+      formatPRList(pulls.slice(0, 1), WEB_URL),
+      `#12 - feat(auth): add login (by [@alice](https://github.com/alice) on ${date})`
+    );
+  });
+});
+
+describe('formatRuleSummary', () => {
+  test('groups pull requests into sections and leaves out excluded ones', () => {
+    const { summary, excluded } = formatRuleSummary(pulls, {}, WEB_URL);
+
+    assert.match(
+      summary,
+      /^### 🚀 Features\n\n- Add login \(#12\)\n\n### 🐛 Bug Fixes\n\n- Fix crash on save \(#14\)\n\n### Pull Requests\n\n#12 /
+    );
+    assert.doesNotMatch(summary, /^- Bump lodash/m);
+    // The list of pull requests still includes all of them
+    assert.match(summary, /^#13 - Bump lodash/m);
+    assert.deepEqual(excluded, [{ pr: pulls[1], reason: 'label "skip-changelog"' }]);
+  });
+
+  test('applies custom categories', () => {
+    const { summary } = formatRuleSummary(
+      pulls.slice(0, 1),
+      { categories: [{ title: 'Changes', types: ['feat'] }], exclude: { labels: [] } },
+      WEB_URL
+    );
+    assert.match(summary, /^### Changes\n\n- Add login \(#12\)/);
+  });
+});
+
+describe('verification checklist', () => {
+  test('asks each human author to verify their pull requests', () => {
+    const checklist = formatVerificationChecklist(
+      [...pulls, { ...pulls[0], number: 15 }],
+      'staging'
+    );
+    assert.equal(
+      checklist,
+      '### Please verify on staging\n\n- [ ] @alice: #12, #15\n- [ ] @bob: #14'
+    );
+    assert.equal(formatVerificationChecklist(pulls.slice(1, 2), 'staging'), '');
+  });
+
+  test('keeps the items checked in the previous body', () => {
+    const previous = '- [x] @alice: #12\n- [ ] @bob: #14';
+    const body = '- [ ] @alice: #12\n- [ ] @bob: #14\n- [ ] @carol: #16';
+    assert.equal(
+      carryOverCheckedItems(body, previous),
+      '- [x] @alice: #12\n- [ ] @bob: #14\n- [ ] @carol: #16'
+    );
+  });
+
+  test('is left out of release notes', () => {
+    const body =
+      '### Features\n\n- Add login\n\n### Please verify on staging\n\n- [x] @alice: #12\n';
+    assert.equal(removeVerificationChecklist(body), '### Features\n\n- Add login');
+  });
+});
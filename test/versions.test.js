@@ -0,0 +1,139 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bumpVersionFile,
+  formatVersionFileChanges,
+  normalizeVersionFiles,
+} from '../src/versions.js';
+
+const context = { version: '1.3.0', tag: 'v1.3.0' };
+
+/**
+ * Bump the version in the content of a single version file entry
+ * @param {string|Object} entry - Version file entry, see normalizeVersionFiles()
+ * @param {string} content - File content
+ * @returns {string} Updated content
+ */
+function bump(entry, content) {
+  const [file] = normalizeVersionFiles([entry]);
+  return bumpVersionFile(content, file, context);
+}
+
+describe('normalizeVersionFiles', () => {
+  test('infers the file type from the entry', () => {
+    const [packageJson, packageLock, versionTxt, appJson, gradle] = normalizeVersionFiles([
+      'package.json',
+      'package-lock.json',
+      'version.txt',
+      { path: 'app.json', jsonPath: 'expo.version' },
+      { path: 'build.gradle', pattern: 'versionName "[^"]*"', replacement: '{{version}}' },
+    ]);
+
+    assert.deepEqual(packageJson, { path: 'package.json', type: 'json', jsonPaths: ['version'] });
+    assert.deepEqual(packageLock.jsonPaths, ['version', 'packages[""].version']);
+    assert.deepEqual(versionTxt, { path: 'version.txt', type: 'text' });
+    assert.deepEqual(appJson.jsonPaths, ['expo.version']);
+    assert.equal(gradle.type, 'regex');
+  });
+
+  test('rejects invalid entries', () => {
+    assert.throws(() => normalizeVersionFiles([{ jsonPath: 'version' }]), /need a path/);
+    assert.throws(
+      () => normalizeVersionFiles([{ path: 'build.gradle', pattern: 'version' }]),
+      /"pattern" and "replacement" must both be strings/
+    );
+    assert.throws(
+      () => normalizeVersionFiles([{ path: 'build.gradle', pattern: '(', replacement: '' }]),
+      /build\.gradle: invalid pattern/
+    );
+  });
+});
+
+describe('bumpVersionFile', () => {
+  test('sets JSON paths and keeps the formatting', () => {
+    const lock =
+      '{\n\t"version": "1.2.0",\n\t"packages": {\n\t\t"": { "version": "1.2.0" }\n\t}\n}';
+    assert.equal(
+      bump('package-lock.json', lock),
+      '{\n\t"version": "1.3.0",\n\t"packages": {\n\t\t"": { "version": "1.3.0" }\n\t}\n}'
+    );
+
+    // Lockfiles without the packages key only have the top-level version
+    assert.equal(
+      bump('package-lock.json', '{\n  "version": "1.2.0"\n}\n'),
+      '{\n  "version": "1.3.0"\n}\n'
+    );
+    assert.equal(
+      bump({ path: 'app.json', jsonPath: 'expo.version' }, '{"expo": {"version": "1.2.0"}}'),
+      '{"expo": {"version": "1.3.0"}}'
+    );
+  });
+
+  test('only changes the version line of unusually formatted JSON', () => {
+    const manifest = [
+      '{',
+      '   "name" :"web",',
+      '   "description": "Caf\\u00e9 \\"orders\\" [beta]",',
+      '   "version" :   "1.2.0",',
+      '   "scripts": {"build": "vite build", "version": "echo {}"},',
+      '   "files": [ "dist",  "lib" ]',
+      '}',
+    ].join('\r\n');
+
+    const bumped = bump('package.json', manifest);
+    assert.deepEqual(formatVersionFileChanges(manifest, bumped), [
+      '-   "version" :   "1.2.0",\r',
+      '+   "version" :   "1.3.0",\r',
+    ]);
+    assert.equal(bumped.replace('1.3.0', '1.2.0'), manifest);
+  });
+
+  test('replaces patterns with the replacement template', () => {
+    const entry = {
+      path: 'project.pbxproj',
+      pattern: 'MARKETING_VERSION = [^;]+;',
+      replacement: 'MARKETING_VERSION = {{version}};',
+    };
+    const content = 'MARKETING_VERSION = 1.2.0;\nMARKETING_VERSION = 1.2.0;\n';
+    assert.equal(bump(entry, content), 'MARKETING_VERSION = 1.3.0;\nMARKETING_VERSION = 1.3.0;\n');
+  });
+
+  test('expands capture groups of the replacement, not of the template variables', () => {
+    const entry = {
+      path: 'build.gradle',
+      pattern: '(versionName )"[^"]*"',
+      replacement: '$1"{{version}}" // {{summary}}',
+    };
+    const bumped = bumpVersionFile('versionName "1.2.0"\n', normalizeVersionFiles([entry])[0], {
+      version: '1.3.0',
+      summary: 'Costs $1 less, was $$2 ($&)',
+    });
+    assert.equal(bumped, 'versionName "1.3.0" // Costs $1 less, was $$2 ($&)\n');
+  });
+
+  test('replaces the whole content of text files', () => {
+    assert.equal(bump('version.txt', '1.2.0\r\n'), '1.3.0\r\n');
+    assert.equal(bump('VERSION', ''), '1.3.0\n');
+  });
+
+  test('fails when the version is not found', () => {
+    assert.throws(
+      () => bump('package.json', '{"name": "web"}'),
+      /package\.json: version not found/
+    );
+    assert.throws(
+      () => bump({ path: 'build.gradle', pattern: 'versionName "[^"]*"', replacement: '' }, ''),
+      /build\.gradle: pattern versionName "\[\^"\]\*" not found/
+    );
+    assert.throws(() => bump('package.json', '{'), /package\.json: invalid JSON/);
+  });
+});
+
+describe('formatVersionFileChanges', () => {
+  test('lists the changed lines', () => {
+    assert.deepEqual(formatVersionFileChanges('a\nversion 1\nb\n', 'a\nversion 2\nb\n'), [
+      '-version 1',
+      '+version 2',
+    ]);
+  });
+});